@@ -32,9 +32,19 @@ app.get('/health', (req, res) => {
 
 import roomRouter from "./routes/room.routes.js";
 import playerRouter from "./routes/player.routes.js";
+import categoryRouter from "./routes/category.routes.js";
+import gameRouter from "./routes/game.routes.js";
+import dailyRouter from "./routes/daily.routes.js";
+import leaderboardRouter from "./routes/leaderboard.routes.js";
+import friendRouter from "./routes/friend.routes.js";
 
 app.use("/api/rooms", roomRouter);
 app.use("/api/players", playerRouter);
+app.use("/api/categories", categoryRouter);
+app.use("/api/games", gameRouter);
+app.use("/api/daily", dailyRouter);
+app.use("/api/leaderboard", leaderboardRouter);
+app.use("/api/friends", friendRouter);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -0,0 +1,11 @@
+import wordService from "../services/wordService.js";
+
+export const getCategories = async (req, res) => {
+    try {
+        const categories = wordService.getCategories();
+        return res.status(200).json({ categories });
+    } catch (error) {
+        console.error("Get categories error:", error);
+        return res.status(500).json({ message: "Internal server error" });
+    }
+}
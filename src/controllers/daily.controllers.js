@@ -0,0 +1,176 @@
+import DailyResult from "../models/dailyResult.model.js";
+import dailyService, { DAILY_WORD_LENGTH, DAILY_MAX_ATTEMPTS } from "../services/dailyService.js";
+import wordService from "../services/wordService.js";
+import { generateWordFeedback } from "../utils/wordFeedback.js";
+
+const DEFAULT_LEADERBOARD_SIZE = 50;
+const MAX_LEADERBOARD_SIZE = 100;
+
+/**
+ * Shape a player's daily result for the client
+ * The answer is only included once they've finished
+ */
+const formatProgress = (result, dateKey) => {
+    const guesses = result?.guesses || [];
+    const status = result?.status || "playing";
+    return {
+        guesses: guesses.map(({ word, feedback }) => ({ word, feedback })),
+        attempts: guesses.length,
+        remainingAttempts: DAILY_MAX_ATTEMPTS - guesses.length,
+        status,
+        solveTime: result?.solveTime ?? null,
+        targetWord: status === "playing" ? null : dailyService.getWordForDate(dateKey)
+    };
+}
+
+export const getDailyPuzzle = async (req, res) => {
+    try {
+        const dateKey = dailyService.getDateKey();
+        const result = await DailyResult.findOne({ player: req.user.userId, date: dateKey }).lean();
+
+        return res.status(200).json({
+            puzzle: dailyService.getPuzzle(dateKey),
+            progress: formatProgress(result, dateKey)
+        });
+    } catch (error) {
+        console.error("Get daily puzzle error:", error);
+        return res.status(500).json({ message: "Internal server error" });
+    }
+}
+
+export const submitDailyGuess = async (req, res) => {
+    try {
+        const { word } = req.body;
+        const userId = req.user.userId;
+
+        if (typeof word !== "string" || !new RegExp(`^[a-zA-Z]{${DAILY_WORD_LENGTH}}$`).test(word)) {
+            return res.status(400).json({ message: `Word must be exactly ${DAILY_WORD_LENGTH} letters` });
+        }
+
+        const upperWord = word.toUpperCase();
+        if (!wordService.isValidGuess(upperWord)) {
+            return res.status(400).json({ message: `${upperWord} is not in the word list` });
+        }
+
+        // Puzzle is picked when the guess arrives, so a guess after midnight UTC counts for the new day
+        const dateKey = dailyService.getDateKey();
+        await DailyResult.updateOne(
+            { player: userId, date: dateKey },
+            {
+                $setOnInsert: {
+                    player: userId,
+                    username: req.user.username,
+                    date: dateKey,
+                    puzzleNumber: dailyService.getPuzzleNumber(dateKey)
+                }
+            },
+            { upsert: true }
+        );
+
+        const targetWord = dailyService.getWordForDate(dateKey);
+        const feedback = generateWordFeedback(upperWord, targetWord);
+        const now = new Date();
+
+        // Append in one conditional update so concurrent requests can't add a
+        // guess after the puzzle is over or beyond the last attempt. The status
+        // is set by a second update, so a saved solving guess also ends the puzzle
+        let result = await DailyResult.findOneAndUpdate(
+            {
+                player: userId,
+                date: dateKey,
+                status: "playing",
+                [`guesses.${DAILY_MAX_ATTEMPTS - 1}`]: { $exists: false },
+                "guesses.word": { $ne: targetWord }
+            },
+            {
+                $push: { guesses: { word: upperWord, feedback, timestamp: now } },
+                $inc: { attempts: 1 },
+                $min: { startedAt: now }
+            },
+            { new: true }
+        );
+
+        // One go per day: solved or failed is final
+        if (!result) {
+            const finished = await DailyResult.findOne({ player: userId, date: dateKey });
+            return res.status(409).json({
+                message: "You have already played today's puzzle",
+                progress: formatProgress(finished, dateKey)
+            });
+        }
+
+        let status = "playing";
+        if (upperWord === targetWord) {
+            status = "solved";
+        } else if (result.guesses.length >= DAILY_MAX_ATTEMPTS) {
+            status = "failed";
+        }
+
+        if (status !== "playing") {
+            result = await DailyResult.findOneAndUpdate(
+                { _id: result._id, status: "playing" },
+                { $set: { status, completedAt: now, solveTime: now - result.startedAt } },
+                { new: true }
+            ) || await DailyResult.findById(result._id);
+        }
+
+        return res.status(200).json({
+            word: upperWord,
+            feedback,
+            puzzle: dailyService.getPuzzle(dateKey),
+            progress: formatProgress(result, dateKey)
+        });
+    } catch (error) {
+        console.error("Submit daily guess error:", error);
+        return res.status(500).json({ message: "Internal server error" });
+    }
+}
+
+export const getDailyLeaderboard = async (req, res) => {
+    try {
+        const today = dailyService.getDateKey();
+        const dateKey = req.query.date || today;
+
+        if (!dailyService.isValidDateKey(dateKey)) {
+            return res.status(400).json({ message: "Date must be a valid YYYY-MM-DD day" });
+        }
+        if (dateKey > today) {
+            return res.status(400).json({ message: "That puzzle isn't available yet" });
+        }
+
+        const limit = Math.min(MAX_LEADERBOARD_SIZE, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_LEADERBOARD_SIZE));
+
+        // Fewest attempts first, then fastest
+        const [solved, totalPlayers, totalFailed] = await Promise.all([
+            DailyResult.find({ date: dateKey, status: "solved" })
+                .sort({ attempts: 1, solveTime: 1 })
+                .limit(limit)
+                .select("player username attempts solveTime completedAt")
+                .lean(),
+            DailyResult.countDocuments({ date: dateKey, status: { $ne: "playing" } }),
+            DailyResult.countDocuments({ date: dateKey, status: "failed" })
+        ]);
+
+        const leaderboard = solved.map((result, index) => ({
+            rank: index + 1,
+            playerId: result.player,
+            username: result.username,
+            attempts: result.attempts,
+            solveTime: result.solveTime,
+            completedAt: result.completedAt
+        }));
+
+        return res.status(200).json({
+            puzzle: dailyService.getPuzzle(dateKey),
+            leaderboard,
+            totals: {
+                players: totalPlayers,
+                solved: totalPlayers - totalFailed,
+                failed: totalFailed
+            }
+        });
+    } catch (error) {
+        console.error("Get daily leaderboard error:", error);
+        return res.status(500).json({ message: "Internal server error" });
+    }
+}
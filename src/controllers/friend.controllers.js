@@ -0,0 +1,217 @@
+import mongoose from "mongoose";
+import Player from "../models/player.model.js";
+
+/**
+ * Send a live update to a player if they're connected
+ * @param {Object} req - Express request
+ * @param {string} playerId - Recipient
+ * @param {string} event - Socket event name
+ * @param {Object} data - Payload
+ */
+const notifyPlayer = (req, playerId, event, data) => {
+    req.app.get("gameHandler")?.emitToPlayer(playerId.toString(), event, data);
+}
+
+/**
+ * Make two players friends and drop any requests between them
+ * @param {string} playerId - One player
+ * @param {string} otherId - The other player
+ */
+const addFriendship = async (playerId, otherId) => {
+    await Player.bulkWrite([
+        {
+            updateOne: {
+                filter: { _id: playerId },
+                update: { $addToSet: { friends: otherId }, $pull: { friendRequests: { from: otherId } } }
+            }
+        },
+        {
+            updateOne: {
+                filter: { _id: otherId },
+                update: { $addToSet: { friends: playerId }, $pull: { friendRequests: { from: playerId } } }
+            }
+        }
+    ]);
+}
+
+export const getFriends = async (req, res) => {
+    try {
+        const player = await Player.findById(req.user.userId)
+            .select("friends")
+            .populate("friends", "username rating gamesPlayed gamesWon")
+            .lean();
+        if (!player) {
+            return res.status(404).json({ message: "Player not found" });
+        }
+
+        const gameHandler = req.app.get("gameHandler");
+        const friends = await Promise.all(player.friends.map(async friend => ({
+            ...friend,
+            presence: gameHandler ? await gameHandler.getPresence(friend._id.toString()) : "offline"
+        })));
+
+        res.status(200).json({ friends });
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({ message: "Internal server error!" });
+    }
+}
+
+export const getFriendRequests = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const player = await Player.findById(userId)
+            .select("friendRequests")
+            .populate("friendRequests.from", "username rating")
+            .lean();
+        if (!player) {
+            return res.status(404).json({ message: "Player not found" });
+        }
+
+        const outgoing = await Player.find({ "friendRequests.from": userId })
+            .select("username rating friendRequests")
+            .lean();
+
+        res.status(200).json({
+            incoming: player.friendRequests.map(({ from, sentAt }) => ({ player: from, sentAt })),
+            outgoing: outgoing.map(({ _id, username, rating, friendRequests }) => ({
+                player: { _id, username, rating },
+                sentAt: friendRequests.find(request => request.from.toString() === userId.toString())?.sentAt
+            }))
+        });
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({ message: "Internal server error!" });
+    }
+}
+
+export const sendFriendRequest = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { username } = req.body;
+
+        if (!username) {
+            return res.status(400).json({ message: "username is required" });
+        }
+
+        const [player, target] = await Promise.all([
+            Player.findById(userId).select("username friends friendRequests").lean(),
+            Player.findOne({ username }).select("username friends friendRequests").lean()
+        ]);
+        if (!player || !target) {
+            return res.status(404).json({ message: "Player not found" });
+        }
+
+        const targetId = target._id.toString();
+        if (targetId === userId.toString()) {
+            return res.status(400).json({ message: "You can't add yourself as a friend" });
+        }
+        if (player.friends.some(id => id.toString() === targetId)) {
+            return res.status(409).json({ message: "You are already friends" });
+        }
+        if (target.friendRequests.some(request => request.from.toString() === userId.toString())) {
+            return res.status(409).json({ message: "Friend request already sent" });
+        }
+
+        // They already asked us - treat this as accepting their request
+        if (player.friendRequests.some(request => request.from.toString() === targetId)) {
+            await addFriendship(userId, targetId);
+            notifyPlayer(req, targetId, "friend-request-accepted", {
+                player: { _id: userId, username: player.username },
+                message: `${player.username} accepted your friend request`
+            });
+            return res.status(200).json({ message: "Friend request accepted", friend: { _id: targetId, username: target.username } });
+        }
+
+        await Player.updateOne(
+            { _id: targetId, "friendRequests.from": { $ne: userId } },
+            { $push: { friendRequests: { from: userId } } }
+        );
+
+        notifyPlayer(req, targetId, "friend-request", {
+            player: { _id: userId, username: player.username },
+            message: `${player.username} sent you a friend request`
+        });
+
+        res.status(201).json({ message: "Friend request sent" });
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({ message: "Internal server error!" });
+    }
+}
+
+export const acceptFriendRequest = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { playerId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(playerId)) {
+            return res.status(400).json({ message: "Invalid player ID" });
+        }
+
+        const player = await Player.findOne({ _id: userId, "friendRequests.from": playerId })
+            .select("username")
+            .lean();
+        if (!player) {
+            return res.status(404).json({ message: "Friend request not found" });
+        }
+
+        await addFriendship(userId, playerId);
+
+        notifyPlayer(req, playerId, "friend-request-accepted", {
+            player: { _id: userId, username: player.username },
+            message: `${player.username} accepted your friend request`
+        });
+
+        res.status(200).json({ message: "Friend request accepted" });
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({ message: "Internal server error!" });
+    }
+}
+
+export const declineFriendRequest = async (req, res) => {
+    try {
+        const { playerId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(playerId)) {
+            return res.status(400).json({ message: "Invalid player ID" });
+        }
+
+        const result = await Player.updateOne(
+            { _id: req.user.userId, "friendRequests.from": playerId },
+            { $pull: { friendRequests: { from: playerId } } }
+        );
+        if (result.modifiedCount === 0) {
+            return res.status(404).json({ message: "Friend request not found" });
+        }
+
+        res.status(200).json({ message: "Friend request declined" });
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({ message: "Internal server error!" });
+    }
+}
+
+export const removeFriend = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { playerId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(playerId)) {
+            return res.status(400).json({ message: "Invalid player ID" });
+        }
+
+        const result = await Player.updateOne({ _id: userId, friends: playerId }, { $pull: { friends: playerId } });
+        if (result.modifiedCount === 0) {
+            return res.status(404).json({ message: "Friend not found" });
+        }
+        await Player.updateOne({ _id: playerId }, { $pull: { friends: userId } });
+
+        res.status(200).json({ message: "Friend removed" });
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({ message: "Internal server error!" });
+    }
+}
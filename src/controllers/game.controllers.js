@@ -0,0 +1,63 @@
+import mongoose from "mongoose";
+import Game from "../models/game.model.js";
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+
+export const getPlayerGames = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid player ID" });
+        }
+
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+        const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE));
+        const filter = { "players.player": id };
+
+        // Guesses are left out of the list view; fetch a single game to review them
+        const [games, total] = await Promise.all([
+            Game.find(filter)
+                .sort({ endedAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .select("-players.guesses -__v")
+                .lean(),
+            Game.countDocuments(filter)
+        ]);
+
+        return res.status(200).json({
+            games,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error("Get player games error:", error);
+        return res.status(500).json({ message: "Internal server error" });
+    }
+}
+
+export const getGame = async (req, res) => {
+    try {
+        const { gameId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(gameId)) {
+            return res.status(400).json({ message: "Invalid game ID" });
+        }
+
+        const game = await Game.findById(gameId).select("-__v").lean();
+        if (!game) {
+            return res.status(404).json({ message: "Game not found" });
+        }
+
+        return res.status(200).json({ game });
+    } catch (error) {
+        console.error("Get game error:", error);
+        return res.status(500).json({ message: "Internal server error" });
+    }
+}
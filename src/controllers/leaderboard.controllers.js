@@ -0,0 +1,53 @@
+import leaderboardService, {
+    LEADERBOARD_WINDOWS,
+    LEADERBOARD_SORTS,
+    DEFAULT_MIN_GAMES
+} from "../services/leaderboardService.js";
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+export const getLeaderboard = async (req, res) => {
+    try {
+        const window = req.query.window || "all-time";
+        const sortBy = req.query.sortBy || "wins";
+
+        if (!LEADERBOARD_WINDOWS.includes(window)) {
+            return res.status(400).json({ message: `window must be one of: ${LEADERBOARD_WINDOWS.join(", ")}` });
+        }
+        if (!Object.prototype.hasOwnProperty.call(LEADERBOARD_SORTS, sortBy)) {
+            return res.status(400).json({ message: `sortBy must be one of: ${Object.keys(LEADERBOARD_SORTS).join(", ")}` });
+        }
+
+        const minGames = Math.max(1, parseInt(req.query.minGames, 10) || DEFAULT_MIN_GAMES);
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+        const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE));
+
+        const { entries, total, me, windowStart } = await leaderboardService.getLeaderboard({
+            window,
+            sortBy,
+            minGames,
+            page,
+            limit,
+            playerId: req.user.userId
+        });
+
+        return res.status(200).json({
+            window,
+            windowStart,
+            sortBy,
+            ...(sortBy === "winRate" && { minGames }),
+            leaderboard: entries,
+            me, // null if the player has no qualifying games in this window
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error("Get leaderboard error:", error);
+        return res.status(500).json({ message: "Internal server error" });
+    }
+}
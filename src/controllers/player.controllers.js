@@ -1,5 +1,7 @@
 import Player from "../models/player.model.js";
 import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import statsService from "../services/statsService.js";
 
 export const signup = async (req, res) => {
     try {
@@ -83,10 +85,30 @@ export const login = async (req, res) => {
 
 export const getAllPlayers = async (req, res) => {
     try {
-        const players = await Player.find().select("-password -__v").lean();
+        const players = await Player.find().select("-password -__v -ratingHistory -friends -friendRequests").lean();
         res.status(200).json({ players });
     } catch (error) {
         console.log(error);
         res.status(500).json({ message: "Internal server error!" });
     }
+}
+
+export const getPlayerStats = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid player ID" });
+        }
+
+        const stats = await statsService.getPlayerStats(id);
+        if (!stats) {
+            return res.status(404).json({ message: "Player not found" });
+        }
+
+        res.status(200).json({ stats });
+    } catch (error) {
+        console.log(error);
+        res.status(500).json({ message: "Internal server error!" });
+    }
 }
\ No newline at end of file
@@ -1,5 +1,11 @@
 import Room from "../models/room.model.js";
 import Player from "../models/player.model.js";
+import { resolveRoomSettings, validateSettingsUpdate, validateRoomAccess } from "../utils/roomSettings.js";
+import { closeSpectating } from "../utils/spectatorUtils.js";
+import lobbyService from "../services/lobbyService.js";
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
 
 export const createRoom = async (req, res) => {
     try {
@@ -14,23 +20,24 @@ export const createRoom = async (req, res) => {
             return res.status(404).json({ message: "Player not found" });
         }
 
-        // Generate unique room ID
-        let roomId;
-        let isUnique = false;
-        while (!isUnique) {
-            roomId = Math.random().toString(36).substring(2, 7).toUpperCase();
-            const existingRoom = await Room.findOne({ roomId });
-            if (!existingRoom) {
-                isUnique = true;
-            }
+        // Optional { visibility: 'public' | 'private', password }
+        const { error, updates: access } = validateRoomAccess(req.body || {});
+        if (error) {
+            return res.status(400).json({ message: error });
         }
 
+        // Generate unique room ID
+        const roomId = await Room.generateUniqueRoomId();
+
         const newRoom = await Room.create({
             players: [userId],
             owner: userId,
-            roomId: roomId
+            roomId: roomId,
+            ...access
         });
 
+        lobbyService.notifyLobbyChanged(req.app.get("io"));
+
         const populatedRoom = await Room.findById(newRoom._id)
             .populate('players', 'username gamesPlayed gamesWon winRate')
             .populate('owner', 'username');
@@ -48,7 +55,7 @@ export const createRoom = async (req, res) => {
 
 export const joinRoom = async (req, res) => {
     try {
-        const { roomId } = req.body;
+        const { roomId, password } = req.body;
         const userId = req.user.userId;
 
         if (!roomId) {
@@ -60,14 +67,15 @@ export const joinRoom = async (req, res) => {
             return res.status(404).json({ message: "Player not found" });
         }
 
-        const room = await Room.findOne({ roomId }).populate('players');
+        const room = await Room.findOne({ roomId }).select('+password').populate('players');
         if (!room) {
             return res.status(404).json({ message: "Room not found" });
         }
 
-        // Check if room is full (max 7 players)
-        if (room.players.length >= 7) {
-            return res.status(400).json({ message: "Room is full (maximum 7 players)" });
+        // Check if room is full
+        const { maxPlayers } = resolveRoomSettings(room.settings);
+        if (room.players.length >= maxPlayers) {
+            return res.status(400).json({ message: `Room is full (maximum ${maxPlayers} players)` });
         }
 
         // Check if player is already in room
@@ -76,8 +84,20 @@ export const joinRoom = async (req, res) => {
         );
         
         if (!playerExists) {
+            if (room.bannedPlayers.some(id => id.toString() === userId.toString())) {
+                return res.status(403).json({ message: "You are banned from this room" });
+            }
+            if (room.locked) {
+                return res.status(403).json({ message: "Room is locked" });
+            }
+            if (!(await room.isPasswordCorrect(password))) {
+                return res.status(403).json({ message: "Incorrect room password" });
+            }
+
             room.players.push(userId);
+            room.spectators.pull(userId); // Spectators can switch to playing
             await room.save();
+            lobbyService.notifyLobbyChanged(req.app.get("io"));
         }
 
         const populatedRoom = await Room.findById(room._id)
@@ -96,12 +116,36 @@ export const joinRoom = async (req, res) => {
     }
 }
 
+export const listRooms = async (req, res) => {
+    try {
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+        const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE));
+
+        // Public rooms that aren't full or mid-game
+        const { rooms, total } = await lobbyService.listPublicRooms({ page, limit });
+
+        return res.status(200).json({
+            rooms,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error("List rooms error:", error);
+        return res.status(500).json({ message: "Internal server error" });
+    }
+}
+
 export const getRoom = async (req, res) => {
     try {
         const { roomId } = req.params;
         
         const room = await Room.findOne({ roomId })
             .populate('players', 'username gamesPlayed gamesWon winRate')
+            .populate('spectators', 'username')
             .populate('owner', 'username');
 
         if (!room) {
@@ -113,4 +157,98 @@ export const getRoom = async (req, res) => {
         console.error("Get room error:", error);
         return res.status(500).json({ message: "Internal server error" });
     }
-}
\ No newline at end of file
+}
+
+export const updateRoomSettings = async (req, res) => {
+    try {
+        const { roomId } = req.params;
+        const userId = req.user.userId;
+
+        const room = await Room.findOne({ roomId });
+        if (!room) {
+            return res.status(404).json({ message: "Room not found" });
+        }
+
+        if (room.owner?.toString() !== userId.toString()) {
+            return res.status(403).json({ message: "Only room owner can change settings" });
+        }
+
+        const { error, updates } = validateSettingsUpdate(req.body, room.players.length);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        room.settings = { ...resolveRoomSettings(room.settings), ...updates };
+        if (updates.allowSpectators === false) {
+            room.spectators = [];
+        }
+        await room.save();
+
+        const populatedRoom = await Room.findById(room._id)
+            .populate('players', 'username gamesPlayed gamesWon winRate')
+            .populate('spectators', 'username')
+            .populate('owner', 'username');
+
+        const io = req.app.get("io");
+        if (io && updates.allowSpectators === false) {
+            closeSpectating(io, roomId);
+        }
+
+        // Let everyone in the lobby see the change (applies from the next game)
+        io?.to(roomId).emit("settings-updated", {
+            settings: populatedRoom.settings,
+            room: populatedRoom,
+            message: "Room settings updated"
+        });
+        lobbyService.notifyLobbyChanged(io);
+
+        return res.status(200).json({
+            settings: populatedRoom.settings,
+            room: populatedRoom,
+            message: "Room settings updated"
+        });
+    } catch (error) {
+        console.error("Update room settings error:", error);
+        return res.status(500).json({ message: "Internal server error" });
+    }
+}
+
+export const updateRoomAccess = async (req, res) => {
+    try {
+        const { roomId } = req.params;
+        const userId = req.user.userId;
+
+        // +password so hasPassword is right when only the visibility changes
+        const room = await Room.findOne({ roomId }).select("+password");
+        if (!room) {
+            return res.status(404).json({ message: "Room not found" });
+        }
+
+        if (room.owner?.toString() !== userId.toString()) {
+            return res.status(403).json({ message: "Only room owner can change who can join" });
+        }
+
+        const { error, updates } = validateRoomAccess(req.body);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ message: "Provide visibility and/or password" });
+        }
+
+        Object.assign(room, updates);
+        await room.save();
+
+        lobbyService.notifyLobbyChanged(req.app.get("io"));
+
+        return res.status(200).json({
+            roomId,
+            visibility: room.visibility,
+            hasPassword: !!room.password,
+            message: "Room access updated"
+        });
+    } catch (error) {
+        console.error("Update room access error:", error);
+        return res.status(500).json({ message: "Internal server error" });
+    }
+}
@@ -24,24 +24,36 @@ process.on('uncaughtException', (err) => {
     process.exit(1);
 });
 
+let socketServer = null;
+
 // Graceful shutdown
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
     console.log('SIGTERM received, shutting down gracefully...');
+    if (socketServer) await socketServer.shutdown();
     process.exit(0);
 });
 
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
     console.log('SIGINT received, shutting down gracefully...');
+    if (socketServer) await socketServer.shutdown();
     process.exit(0);
 });
 
 // Connect to database and start server
 connectDB()
-    .then(() => {
+    .then(async () => {
         try {
             // Initialize Socket.IO server
-            const socketServer = new SocketServer(app);
+            socketServer = new SocketServer(app);
             const server = socketServer.getServer();
+
+            await socketServer.setupAdapter();
+
+            // Pick up games that were running before a restart/redeploy
+            const gameHandler = socketServer.getGameHandler();
+            await gameHandler.restoreGames();
+            gameHandler.startLockHeartbeat();
+            socketServer.getCleanupJob().start();
             
             // Start server with Socket.IO
             server.listen(port, '0.0.0.0', () => {
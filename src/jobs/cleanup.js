@@ -0,0 +1,148 @@
+import Room from '../models/room.model.js';
+
+/**
+ * CLEANUP JOB
+ *
+ * Periodic housekeeping for things the event handlers can miss:
+ * - Rooms left empty or untouched for too long (e.g. after a crash the
+ *   "last player left" handler never ran)
+ * - Finished matches kept around for start-again
+ * - Socket maps still holding sockets that are gone
+ *
+ * Runs on every instance; deleting a room twice is harmless and each
+ * instance only drops games and sockets it holds itself.
+ *
+ * Intervals can be changed with (all in seconds):
+ * CLEANUP_INTERVAL_SECONDS, CLEANUP_EMPTY_ROOM_TTL_SECONDS,
+ * CLEANUP_IDLE_ROOM_TTL_SECONDS, CLEANUP_FINISHED_GAME_TTL_SECONDS
+ */
+
+export const CLEANUP_CONFIG = {
+    intervalMs: 60 * 1000,
+    emptyRoomTtlMs: 10 * 60 * 1000,     // Rooms without players
+    idleRoomTtlMs: 2 * 60 * 60 * 1000,  // Rooms nobody changed and nobody online is in
+    finishedGameTtlMs: 5 * 60 * 1000    // Finished matches are kept this long for start-again
+};
+
+const ENV_SECONDS = {
+    intervalMs: 'CLEANUP_INTERVAL_SECONDS',
+    emptyRoomTtlMs: 'CLEANUP_EMPTY_ROOM_TTL_SECONDS',
+    idleRoomTtlMs: 'CLEANUP_IDLE_ROOM_TTL_SECONDS',
+    finishedGameTtlMs: 'CLEANUP_FINISHED_GAME_TTL_SECONDS'
+};
+
+/**
+ * Read overrides from the environment (read at construction so dotenv has run)
+ * @returns {Object} - Config keys set by the environment
+ */
+function readEnvConfig() {
+    const config = {};
+    for (const [key, name] of Object.entries(ENV_SECONDS)) {
+        const seconds = Number(process.env[name]);
+        if (seconds > 0) config[key] = seconds * 1000;
+    }
+    return config;
+}
+
+class CleanupJob {
+    /**
+     * @param {Object} gameHandler - GameSocketHandler whose state is cleaned
+     * @param {Object} config - Overrides for CLEANUP_CONFIG (take precedence over env)
+     */
+    constructor(gameHandler, config = {}) {
+        this.gameHandler = gameHandler;
+        this.config = { ...CLEANUP_CONFIG, ...readEnvConfig(), ...config };
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * Run the cleanup every config.intervalMs
+     */
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.run(), this.config.intervalMs);
+        console.log(`🧹 Cleanup job running every ${Math.round(this.config.intervalMs / 1000)}s`);
+    }
+
+    /**
+     * Stop the schedule (on shutdown)
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Run one cleanup pass (skipped if the previous one is still running)
+     * @returns {Promise<Object|null>} - What was removed, or null if skipped
+     */
+    async run() {
+        if (this.running) return null;
+        this.running = true;
+
+        try {
+            const now = Date.now();
+            const games = this.gameHandler.removeFinishedGames(this.config.finishedGameTtlMs, now);
+            const sockets = this.gameHandler.pruneSocketMaps(now);
+            const rooms = await this.removeStaleRooms(now);
+
+            if (rooms.length || games.length || sockets) {
+                console.log(`🧹 Cleanup removed ${rooms.length} stale room(s) [${rooms.join(', ')}], ` +
+                    `${games.length} finished game(s) [${games.join(', ')}], ${sockets} stale socket entries`);
+            }
+            return { rooms, games, sockets };
+        } catch (error) {
+            console.error('Cleanup job error:', error);
+            return null;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Delete rooms that are empty past emptyRoomTtlMs, or untouched past
+     * idleRoomTtlMs with none of their players online
+     * Rooms with a live game (on any instance) are never touched
+     * @param {number} now - Current time (ms)
+     * @returns {Promise<Array<string>>} - Deleted room IDs
+     */
+    async removeStaleRooms(now) {
+        const { emptyRoomTtlMs, idleRoomTtlMs } = this.config;
+        const candidates = await Room.find({
+            $or: [
+                { players: { $size: 0 }, updatedAt: { $lt: new Date(now - emptyRoomTtlMs) } },
+                { updatedAt: { $lt: new Date(now - idleRoomTtlMs) } }
+            ]
+        }).select('roomId players').lean();
+
+        const deleted = [];
+        for (const room of candidates) {
+            if (await this.isRoomInUse(room)) continue;
+
+            await this.gameHandler.deleteRoom(room.roomId);
+            deleted.push(room.roomId);
+        }
+        if (deleted.length > 0) this.gameHandler.notifyLobby();
+        return deleted;
+    }
+
+    /**
+     * Whether a room still has a game or an online player
+     * @param {Object} room - Lean room ({ roomId, players })
+     * @returns {Promise<boolean>}
+     */
+    async isRoomInUse(room) {
+        const { activeGames, roomLock } = this.gameHandler;
+        if (activeGames.has(room.roomId) || await roomLock.getOwner(room.roomId)) return true;
+
+        for (const playerId of room.players) {
+            if (await this.gameHandler.isOnline(playerId.toString())) return true;
+        }
+        return false;
+    }
+}
+
+export default CleanupJob;
@@ -0,0 +1,31 @@
+import jwt from "jsonwebtoken";
+
+/**
+ * Socket.IO handshake middleware - verifies the same JWT as auth.middleware.js
+ * Token is read from `handshake.auth.token` or a Bearer Authorization header.
+ * On success the socket identity is bound to the token, so game handlers
+ * never have to trust a client-supplied playerId.
+ */
+const socketAuth = (socket, next) => {
+  const authHeader = socket.handshake.headers?.authorization;
+  const token = socket.handshake.auth?.token ||
+    (authHeader?.startsWith("Bearer ") ? authHeader.split(" ")[1] : null);
+
+  if (!token) {
+    return next(new Error("Unauthorized"));
+  }
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    socket.user = decoded; // e.g., { username, userId }
+    socket.playerId = decoded.userId.toString();
+    socket.username = decoded.username;
+    // Copied into socket.data so it is also visible through fetchSockets() on other instances
+    socket.data.playerId = socket.playerId;
+    socket.data.username = socket.username;
+    socket.authenticated = true;
+    next();
+  } catch (err) {
+    next(new Error("Invalid or expired token"));
+  }
+};
+export default socketAuth;
@@ -0,0 +1,37 @@
+import mongoose, {Schema} from "mongoose";
+
+const dailyGuessSchema=new Schema({
+    word:{type:String,required:true},
+    // 0=wrong, 1=wrong position, 2=correct (same as generateWordFeedback)
+    feedback:[{type:Number}],
+    timestamp:{type:Date,required:true}
+},{ _id:false })
+
+// One document per player per daily puzzle
+const dailyResultSchema=new Schema({
+    player:{type:mongoose.Schema.Types.ObjectId,ref:"Player",required:true},
+    username:{type:String},
+    date:{ // UTC day, YYYY-MM-DD
+        type:String,
+        required:true
+    },
+    puzzleNumber:{type:Number},
+    guesses:[dailyGuessSchema],
+    status:{
+        type:String,
+        enum:['playing','solved','failed'],
+        default:'playing'
+    },
+    startedAt:{type:Date},
+    completedAt:{type:Date},
+    solveTime:{type:Number}, // ms from first guess
+    attempts:{type:Number,default:0}
+},
+ { timestamps: true }
+)
+
+dailyResultSchema.index({ player: 1, date: 1 }, { unique: true });
+dailyResultSchema.index({ date: 1, status: 1, attempts: 1, solveTime: 1 });
+
+const DailyResult=mongoose.model("DailyResult",dailyResultSchema);
+export default DailyResult;
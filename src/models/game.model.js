@@ -1,21 +1,65 @@
-
 import mongoose, {Schema} from "mongoose";
 
+const guessSchema=new Schema({
+    word:{type:String,required:true},
+    // 0=wrong, 1=wrong position, 2=correct (same as generateWordFeedback)
+    feedback:[{type:Number}],
+    timestamp:{type:Date,required:true}
+},{ _id:false })
+
+const gamePlayerSchema=new Schema({
+    player:{type:mongoose.Schema.Types.ObjectId,ref:"Player",required:true},
+    username:{type:String},
+    guesses:[guessSchema],
+    rank:{type:Number},
+    outcome:{type:String,enum:['solved','failed'],required:true},
+    solveTime:{type:Number}, // ms from game start
+    solveAttempts:{type:Number},
+    score:{type:Number,default:0},
+    hardMode:{type:Boolean,default:false}
+},{ _id:false })
+
 const gameSchema=new Schema({
-    round:{
+    roomId:{
         type:String,
-        required:true
+        required:true,
+        index:true
+    },
+    // Rounds of the same match share a matchId
+    matchId:{
+        type:String,
+        index:true
+    },
+    round:{
+        type:Number,
+        default:1
+    },
+    totalRounds:{
+        type:Number,
+        default:1
     },
     state:{
         type:String,
-        required:true
+        enum:['completed'],
+        default:'completed'
     },
-    scores:{
-        type:Array,
+    category:{type:String},
+    categoryKey:{type:String},
+    rankingMode:{type:String,enum:['fastest','points'],default:'fastest'},
+    targetWord:{
+        type:String,
         required:true
-    }
+    },
+    startedAt:{type:Date,required:true},
+    endedAt:{type:Date,required:true},
+    timeLimit:{type:Number}, // ms
+    players:[gamePlayerSchema]
+},
+ { timestamps: true }
+)
 
-})
+gameSchema.index({ "players.player": 1, endedAt: -1 });
+gameSchema.index({ endedAt: -1 }); // leaderboard windows
 
 const Game=mongoose.model("Game",gameSchema);
-export default Game;
\ No newline at end of file
+export default Game;
@@ -0,0 +1,14 @@
+import mongoose, {Schema} from "mongoose";
+
+// Live (unfinished or recently finished) match state, one per room.
+// Written by MongoGameStateStore so games survive a restart; see services/gameStateStore.js
+const gameStateSchema=new Schema({
+    roomId:{type:String,required:true,unique:true},
+    status:{type:String}, // Copy of state.gameStatus, for querying
+    state:{type:Schema.Types.Mixed,required:true}
+},
+ { timestamps: true, minimize: false }
+)
+
+const GameState=mongoose.model("GameState",gameStateSchema);
+export default GameState;
@@ -1,5 +1,20 @@
 import mongoose, { Schema } from "mongoose";
 import bcrypt from "bcrypt";
+import { RATING_CONFIG } from "../utils/ratingUtils.js";
+import { GUESS_DISTRIBUTION_BUCKETS } from "../utils/roomSettings.js";
+
+const ratingHistorySchema = new Schema({
+  rating: { type: Number, required: true },
+  change: { type: Number, required: true },
+  game: { type: Schema.Types.ObjectId, ref: "Game" },
+  matchId: { type: String },
+  playedAt: { type: Date, required: true }
+}, { _id: false });
+
+const friendRequestSchema = new Schema({
+  from: { type: Schema.Types.ObjectId, ref: "Player", required: true },
+  sentAt: { type: Date, default: Date.now }
+}, { _id: false });
 
 const playerSchema = new Schema({
   username: { type: String, required: true, unique: true },
@@ -7,7 +22,24 @@ const playerSchema = new Schema({
   gamesPlayed: { type: Number, default: 0 },
   gamesWon: { type: Number, default: 0 },
   gamesLost: { type: Number, default: 0 },
-  winRate: { type: Number, default: 0 }
+  winRate: { type: Number, default: 0 },
+  gamesSolved: { type: Number, default: 0 },
+  currentStreak: { type: Number, default: 0 },
+  maxStreak: { type: Number, default: 0 },
+  // Solved games by number of guesses used (up to the highest maxAttempts setting), plus games not solved
+  guessDistribution: Object.fromEntries(
+    GUESS_DISTRIBUTION_BUCKETS.map(bucket => [bucket, { type: Number, default: 0 }])
+  ),
+  totalSolveTime: { type: Number, default: 0 }, // ms, summed over solved rounds
+  roundsSolved: { type: Number, default: 0 }, // A match can solve several rounds
+  averageSolveTime: { type: Number, default: 0 }, // ms per solved round
+  // Skill rating from multiplayer games (see utils/ratingUtils.js)
+  rating: { type: Number, default: RATING_CONFIG.initialRating, index: true },
+  peakRating: { type: Number, default: RATING_CONFIG.initialRating },
+  ratedGames: { type: Number, default: 0 },
+  ratingHistory: [ratingHistorySchema], // Most recent last, capped at RATING_CONFIG.historyLength
+  friends: [{ type: Schema.Types.ObjectId, ref: "Player" }],
+  friendRequests: [friendRequestSchema] // Incoming, waiting for accept/decline
 }, { timestamps: true });
 
 playerSchema.pre("save", async function(next) {
@@ -24,5 +56,7 @@ playerSchema.methods.isPasswordCorrect = async function(password) {
   return await bcrypt.compare(password, this.password);
 };
 
+playerSchema.index({ "friendRequests.from": 1 }); // Outgoing requests
+
 const Player = mongoose.model("Player", playerSchema);
 export default Player;
\ No newline at end of file
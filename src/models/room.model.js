@@ -1,6 +1,47 @@
 import mongoose, {Schema} from "mongoose";
 import bcrypt from "bcrypt";
 import jwt from "jsonwebtoken";
+import { SETTINGS_LIMITS, SCORING_MODES, DEFAULT_ROOM_SETTINGS, ROOM_VISIBILITIES, DEFAULT_VISIBILITY } from "../utils/roomSettings.js";
+
+const settingsSchema=new Schema({
+    wordLength:{
+        type:Number,
+        min:SETTINGS_LIMITS.wordLength.min,
+        max:SETTINGS_LIMITS.wordLength.max,
+        default:DEFAULT_ROOM_SETTINGS.wordLength
+    },
+    maxAttempts:{
+        type:Number,
+        min:SETTINGS_LIMITS.maxAttempts.min,
+        max:SETTINGS_LIMITS.maxAttempts.max,
+        default:DEFAULT_ROOM_SETTINGS.maxAttempts
+    },
+    timeLimit:{ // seconds
+        type:Number,
+        min:SETTINGS_LIMITS.timeLimit.min,
+        max:SETTINGS_LIMITS.timeLimit.max,
+        default:DEFAULT_ROOM_SETTINGS.timeLimit
+    },
+    maxPlayers:{
+        type:Number,
+        min:SETTINGS_LIMITS.maxPlayers.min,
+        max:SETTINGS_LIMITS.maxPlayers.max,
+        default:DEFAULT_ROOM_SETTINGS.maxPlayers
+    },
+    scoringMode:{
+        type:String,
+        enum:SCORING_MODES,
+        default:DEFAULT_ROOM_SETTINGS.scoringMode
+    },
+    allowSpectators:{
+        type:Boolean,
+        default:DEFAULT_ROOM_SETTINGS.allowSpectators
+    },
+    hardMode:{
+        type:Boolean,
+        default:DEFAULT_ROOM_SETTINGS.hardMode
+    }
+},{ _id:false })
 
 const roomSchema=new Schema({
     roomId:{
@@ -8,10 +49,59 @@ const roomSchema=new Schema({
         unique:true
     },
     players:[{type:mongoose.Schema.Types.ObjectId,ref:"Player"}],
-    owner:{type:mongoose.Schema.Types.ObjectId,ref:"Player"}
+    spectators:[{type:mongoose.Schema.Types.ObjectId,ref:"Player"}], // watch only, don't count toward maxPlayers
+    hardModePlayers:[{type:mongoose.Schema.Types.ObjectId,ref:"Player"}], // opted into hard mode themselves
+    readyPlayers:[{type:mongoose.Schema.Types.ObjectId,ref:"Player"}], // readied up for the next game
+    bannedPlayers:[{type:mongoose.Schema.Types.ObjectId,ref:"Player"}], // can't join or spectate again
+    locked:{type:Boolean,default:false}, // no new players while locked
+    owner:{type:mongoose.Schema.Types.ObjectId,ref:"Player"},
+    settings:{type:settingsSchema,default:()=>({})},
+    visibility:{
+        type:String,
+        enum:ROOM_VISIBILITIES,
+        default:DEFAULT_VISIBILITY
+    },
+    password:{ // bcrypt hash, null when the room is open
+        type:String,
+        default:null,
+        select:false
+    },
+    status:{ // kept in sync by the socket handler so the lobby can hide running games
+        type:String,
+        enum:['waiting','in-game'],
+        default:'waiting'
+    }
 },
  { timestamps: true }
 ) 
 
+roomSchema.index({ visibility:1, status:1, createdAt:-1 });
+
+roomSchema.pre("save", async function(next) {
+    if (!this.isModified("password") || !this.password) return next();
+    try {
+        this.password = await bcrypt.hash(this.password, 10);
+        next();
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Rooms without a password accept anything; load the room with +password first
+roomSchema.methods.isPasswordCorrect = async function(password) {
+    if (!this.password) return true;
+    if (typeof password !== "string") return false;
+    return await bcrypt.compare(password, this.password);
+};
+
+// Short code players share to join (e.g. "K3F9Q")
+roomSchema.statics.generateUniqueRoomId=async function(){
+    let roomId;
+    do {
+        roomId=Math.random().toString(36).substring(2,7).toUpperCase();
+    } while (await this.exists({ roomId }));
+    return roomId;
+}
+
 const Room=mongoose.model("Room",roomSchema);
-export default Room;
\ No newline at end of file
+export default Room;
@@ -0,0 +1,14 @@
+import mongoose, {Schema} from "mongoose";
+
+// Which server instance runs a room's game timers; see services/roomLock.js
+const roomLockSchema=new Schema({
+    roomId:{type:String,required:true,unique:true},
+    owner:{type:String,required:true}, // Node ID of the holder
+    expiresAt:{type:Date,required:true}
+})
+
+// Let MongoDB drop locks left behind by instances that died
+roomLockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 60 });
+
+const RoomLock=mongoose.model("RoomLock",roomLockSchema);
+export default RoomLock;
@@ -0,0 +1,8 @@
+import { Router } from "express";
+import { getCategories } from "../controllers/category.controllers.js";
+
+const router = Router();
+
+router.get("/", getCategories);
+
+export default router;
@@ -0,0 +1,11 @@
+import { Router } from "express";
+import { getDailyPuzzle, submitDailyGuess, getDailyLeaderboard } from "../controllers/daily.controllers.js";
+import auth from "../middlewares/auth.middleware.js";
+
+const router = Router();
+
+router.get("/", auth, getDailyPuzzle);
+router.post("/guess", auth, submitDailyGuess);
+router.get("/leaderboard", auth, getDailyLeaderboard);
+
+export default router;
@@ -0,0 +1,21 @@
+import { Router } from "express";
+import {
+    getFriends,
+    getFriendRequests,
+    sendFriendRequest,
+    acceptFriendRequest,
+    declineFriendRequest,
+    removeFriend
+} from "../controllers/friend.controllers.js";
+import auth from "../middlewares/auth.middleware.js";
+
+const router = Router();
+
+router.get("/", auth, getFriends);
+router.delete("/:playerId", auth, removeFriend);
+router.get("/requests", auth, getFriendRequests);
+router.post("/requests", auth, sendFriendRequest);
+router.post("/requests/:playerId/accept", auth, acceptFriendRequest);
+router.post("/requests/:playerId/decline", auth, declineFriendRequest);
+
+export default router;
@@ -0,0 +1,9 @@
+import { Router } from "express";
+import { getGame } from "../controllers/game.controllers.js";
+import auth from "../middlewares/auth.middleware.js";
+
+const router = Router();
+
+router.get("/:gameId", auth, getGame);
+
+export default router;
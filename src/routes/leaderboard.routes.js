@@ -0,0 +1,9 @@
+import { Router } from "express";
+import { getLeaderboard } from "../controllers/leaderboard.controllers.js";
+import auth from "../middlewares/auth.middleware.js";
+
+const router = Router();
+
+router.get("/", auth, getLeaderboard);
+
+export default router;
@@ -1,5 +1,6 @@
 import { Router } from "express";
-import { login, signup, getAllPlayers } from "../controllers/player.controllers.js";
+import { login, signup, getAllPlayers, getPlayerStats } from "../controllers/player.controllers.js";
+import { getPlayerGames } from "../controllers/game.controllers.js";
 import auth from "../middlewares/auth.middleware.js";
 
 const router = Router();
@@ -7,5 +8,7 @@ const router = Router();
 router.post("/signup", signup);
 router.post("/login", login);
 router.get("/all", auth, getAllPlayers);
+router.get("/:id/stats", auth, getPlayerStats);
+router.get("/:id/games", auth, getPlayerGames);
 
 export default router;
\ No newline at end of file
@@ -1,12 +1,15 @@
 import { Router } from "express";
-import { createRoom, joinRoom, getRoom } from "../controllers/room.controllers.js";
+import { createRoom, joinRoom, listRooms, getRoom, updateRoomSettings, updateRoomAccess } from "../controllers/room.controllers.js";
 import auth from "../middlewares/auth.middleware.js";
 
 const router = Router();
 
 router.post("/create", auth, createRoom);
 router.post("/join", auth, joinRoom);
+router.get("/", listRooms);
 router.get("/:roomId", getRoom);
+router.put("/:roomId/settings", auth, updateRoomSettings);
+router.put("/:roomId/access", auth, updateRoomAccess);
 
 export default router;
 
@@ -0,0 +1,226 @@
+import { generateMessageId } from '../utils/idGenerator.js';
+
+/**
+ * ROOM CHAT
+ *
+ * In-memory chat for game rooms: recent history per room (so new joiners
+ * see some context), a sliding-window rate limit per socket, a word filter
+ * and emoji reactions. The socket handler decides who may talk where; this
+ * service only stores and checks messages.
+ *
+ * A message can be stored for its sender only (visibleTo); clients get it
+ * without that field, so the sender sees it like any other message.
+ *
+ * Extra filtered words can be added with CHAT_BLOCKED_WORDS (comma separated).
+ */
+
+export const CHAT_CONFIG = {
+    historySize: 50,          // Messages kept per room
+    maxMessageLength: 300,
+    rateLimitMessages: 5,     // At most 5 messages ...
+    rateLimitWindowMs: 10 * 1000, // ... per 10 seconds per socket
+    reactions: ['👍', '👎', '😂', '😮', '😢', '🔥', '🎉', '❤️']
+};
+
+const DEFAULT_BLOCKED_WORDS = ['fuck', 'shit', 'bitch', 'cunt', 'asshole', 'bastard', 'dick', 'slut', 'whore'];
+
+/**
+ * Split text into uppercase words (runs of letters)
+ * @param {string} text - Text to split
+ * @returns {Array<string>} - Words, A-Z only
+ */
+function letterTokens(text) {
+    return text.toUpperCase().split(/[^A-Z]+/).filter(Boolean);
+}
+
+/**
+ * Escape a string for use inside a RegExp
+ * @param {string} value - Raw string
+ * @returns {string} - Escaped string
+ */
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+class ChatService {
+    constructor(config = CHAT_CONFIG) {
+        this.config = config;
+        this.history = new Map();  // roomId -> [message]
+        this.sentTimes = new Map(); // socketId -> [timestamp] within the rate limit window
+        this.blockedPattern = null; // Built lazily so CHAT_BLOCKED_WORDS is read after dotenv
+    }
+
+    /**
+     * Words masked by the filter (defaults plus CHAT_BLOCKED_WORDS)
+     * @returns {Array<string>} - Lowercase blocked words
+     */
+    getBlockedWords() {
+        const extra = (process.env.CHAT_BLOCKED_WORDS || '')
+            .split(',')
+            .map(word => word.trim().toLowerCase())
+            .filter(Boolean);
+        return [...new Set([...DEFAULT_BLOCKED_WORDS, ...extra])];
+    }
+
+    /**
+     * Mask blocked words with asterisks
+     * @param {string} text - Message text
+     * @returns {string} - Filtered text
+     */
+    filterText(text) {
+        if (!this.blockedPattern) {
+            const words = this.getBlockedWords().map(escapeRegExp);
+            this.blockedPattern = new RegExp(`\\b(${words.join('|')})\\b`, 'gi');
+        }
+        return text.replace(this.blockedPattern, match => '*'.repeat(match.length));
+    }
+
+    /**
+     * Find a secret word used as a whole word in a message, ignoring case
+     * and punctuation (so "MANGO" doesn't match "MAN GOES")
+     * @param {string} text - Message text
+     * @param {Array<string>} words - Words that must not be sent (target word, guesses)
+     * @returns {string|null} - The leaked word, or null if the message is clean
+     */
+    findLeakedWord(text, words) {
+        const tokens = new Set(letterTokens(text));
+        return words.find(word => word && tokens.has(word.toUpperCase())) || null;
+    }
+
+    /**
+     * Record a message attempt and check the socket's rate limit
+     * @param {string} socketId - Sender's socket ID
+     * @param {number} now - Current time (ms)
+     * @returns {number} - 0 if allowed, otherwise ms until the socket may send again
+     */
+    checkRateLimit(socketId, now = Date.now()) {
+        const { rateLimitMessages, rateLimitWindowMs } = this.config;
+        const recent = (this.sentTimes.get(socketId) || []).filter(time => now - time < rateLimitWindowMs);
+
+        if (recent.length >= rateLimitMessages) {
+            this.sentTimes.set(socketId, recent);
+            return rateLimitWindowMs - (now - recent[0]);
+        }
+
+        recent.push(now);
+        this.sentTimes.set(socketId, recent);
+        return 0;
+    }
+
+    /**
+     * Forget a socket's rate limit state (on disconnect)
+     * @param {string} socketId - Socket ID
+     */
+    forgetSocket(socketId) {
+        this.sentTimes.delete(socketId);
+    }
+
+    /**
+     * Forget rate limit state of sockets that haven't sent anything within
+     * the window (covers sockets whose disconnect was never seen here)
+     * @param {number} now - Current time (ms)
+     * @returns {number} - Number of sockets forgotten
+     */
+    pruneRateLimits(now = Date.now()) {
+        let removed = 0;
+        for (const [socketId, times] of this.sentTimes.entries()) {
+            if (times.every(time => now - time >= this.config.rateLimitWindowMs)) {
+                this.sentTimes.delete(socketId);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Store a message in the room history (oldest messages drop off)
+     * @param {string} roomId - Room ID
+     * @param {Object} message - { playerId, username, text, spectator }
+     * @param {Object} options
+     * @param {boolean} options.senderOnly - Only the sender may see the message
+     * @returns {Object} - Stored message with id, reactions and sentAt
+     */
+    addMessage(roomId, message, { senderOnly = false } = {}) {
+        const stored = {
+            id: generateMessageId(),
+            roomId,
+            ...message,
+            reactions: {}, // emoji -> [playerId]
+            sentAt: new Date(),
+            visibleTo: senderOnly ? message.playerId : null
+        };
+
+        const history = this.history.get(roomId) || [];
+        history.push(stored);
+        if (history.length > this.config.historySize) {
+            history.splice(0, history.length - this.config.historySize);
+        }
+        this.history.set(roomId, history);
+        return stored;
+    }
+
+    /**
+     * Whether a player may see a message
+     * @param {Object} message - Stored message
+     * @param {string} playerId - Player ID
+     * @returns {boolean}
+     */
+    isVisibleTo(message, playerId) {
+        return !message.visibleTo || message.visibleTo === playerId;
+    }
+
+    /**
+     * Message as sent to clients (without visibleTo)
+     * @param {Object} message - Stored message
+     * @returns {Object} - Client message
+     */
+    toClient(message) {
+        const { visibleTo, ...clientMessage } = message;
+        return clientMessage;
+    }
+
+    /**
+     * Recent messages in a room a player may see, oldest first
+     * @param {string} roomId - Room ID
+     * @param {string} playerId - Player the history is for
+     * @returns {Array<Object>} - Client messages
+     */
+    getHistory(roomId, playerId) {
+        return (this.history.get(roomId) || [])
+            .filter(message => this.isVisibleTo(message, playerId))
+            .map(message => this.toClient(message));
+    }
+
+    /**
+     * Toggle a player's emoji reaction on a message
+     * @param {string} roomId - Room ID
+     * @param {string} messageId - Message ID
+     * @param {string} emoji - One of CHAT_CONFIG.reactions
+     * @param {string} playerId - Reacting player
+     * @returns {Object|null} - Updated stored message, or null if the player can't see it
+     */
+    toggleReaction(roomId, messageId, emoji, playerId) {
+        const message = (this.history.get(roomId) || []).find(m => m.id === messageId);
+        if (!message || !this.isVisibleTo(message, playerId)) return null;
+
+        const players = message.reactions[emoji] || [];
+        message.reactions[emoji] = players.includes(playerId)
+            ? players.filter(id => id !== playerId)
+            : [...players, playerId];
+        if (message.reactions[emoji].length === 0) {
+            delete message.reactions[emoji];
+        }
+        return message;
+    }
+
+    /**
+     * Drop a room's history (room deleted)
+     * @param {string} roomId - Room ID
+     */
+    clearRoom(roomId) {
+        this.history.delete(roomId);
+    }
+}
+
+const chatService = new ChatService();
+export default chatService;
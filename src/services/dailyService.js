@@ -0,0 +1,81 @@
+import crypto from 'crypto';
+import { CATEGORY_WORDS } from '../words/categoryWords.js';
+
+export const DAILY_WORD_LENGTH = 5;
+export const DAILY_MAX_ATTEMPTS = 6;
+
+// Puzzle #1 is the first UTC day of 2025
+const DAILY_EPOCH = Date.UTC(2025, 0, 1);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class DailyService {
+    constructor() {
+        // Sorted so the word for a date only depends on the bundled list
+        this.answers = [...new Set(
+            Object.values(CATEGORY_WORDS)
+                .flat()
+                .filter(word => word.length === DAILY_WORD_LENGTH)
+        )].sort();
+    }
+
+    /**
+     * Get the UTC day key for a date
+     * @param {Date} date - Defaults to now
+     * @returns {string} - Day key (YYYY-MM-DD)
+     */
+    getDateKey(date = new Date()) {
+        return date.toISOString().slice(0, 10);
+    }
+
+    /**
+     * Check a YYYY-MM-DD day key from a client
+     * @param {string} dateKey - Day key to check
+     * @returns {boolean} - True if it's a real calendar day
+     */
+    isValidDateKey(dateKey) {
+        if (typeof dateKey !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(dateKey)) {
+            return false;
+        }
+        const time = Date.parse(`${dateKey}T00:00:00Z`);
+        return !Number.isNaN(time) && this.getDateKey(new Date(time)) === dateKey;
+    }
+
+    /**
+     * Get the puzzle number for a day
+     * @param {string} dateKey - Day key (YYYY-MM-DD)
+     * @returns {number} - Puzzle number
+     */
+    getPuzzleNumber(dateKey) {
+        return Math.floor((Date.parse(`${dateKey}T00:00:00Z`) - DAILY_EPOCH) / DAY_MS) + 1;
+    }
+
+    /**
+     * Get the word of the day
+     * Hashes the day key so everyone gets the same word without storing it
+     * @param {string} dateKey - Day key (YYYY-MM-DD)
+     * @returns {string} - Uppercase answer
+     */
+    getWordForDate(dateKey) {
+        const hash = crypto.createHash('sha256').update(`daily:${dateKey}`).digest();
+        return this.answers[hash.readUInt32BE(0) % this.answers.length];
+    }
+
+    /**
+     * Get the public puzzle metadata for a day (never includes the word)
+     * @param {string} dateKey - Day key (YYYY-MM-DD)
+     * @returns {Object} - Puzzle metadata
+     */
+    getPuzzle(dateKey = this.getDateKey()) {
+        const nextDay = Date.parse(`${dateKey}T00:00:00Z`) + DAY_MS;
+        return {
+            date: dateKey,
+            puzzleNumber: this.getPuzzleNumber(dateKey),
+            wordLength: DAILY_WORD_LENGTH,
+            maxAttempts: DAILY_MAX_ATTEMPTS,
+            nextPuzzleAt: new Date(nextDay).toISOString()
+        };
+    }
+}
+
+const dailyService = new DailyService();
+export default dailyService;
@@ -0,0 +1,182 @@
+import GameState from '../models/gameState.model.js';
+
+/**
+ * GAME STATE STORE
+ *
+ * Holds the live game state of every room. Both stores behave like a Map
+ * (get/set/has/delete/values/size) so the socket handler can keep mutating
+ * game states in place, and call save(roomId) once it has changed one.
+ *
+ * - MemoryGameStateStore: process memory only (lost on restart)
+ * - MongoGameStateStore: same, plus every save is written to MongoDB so
+ *   games can be loaded back on boot
+ *
+ * Timer handles live on the game state but can't be stored, so they are
+ * stripped before writing. The handler rebuilds them from the persisted
+ * deadlines (gameStartTime + timeLimit, intermissionEndsAt, ...).
+ *
+ * playerSockets/roomSockets are not stored: they describe this process's
+ * connections and fill up again as clients reconnect after a restart.
+ *
+ * Pick one with GAME_STATE_STORE=memory|mongo (default memory).
+ */
+
+export const GAME_STATE_STORES = ['memory', 'mongo'];
+
+// Node timer handles (see GameSocketHandler.clearGameTimers)
+const TIMER_KEYS = ['gameTimer', 'timerInterval', 'intermissionTimer', 'intermissionInterval', 'countdownInterval'];
+
+/**
+ * Copy a game state without its timer handles
+ * @param {Object} gameState - Live game state
+ * @returns {Object} - Plain object that can be stored
+ */
+export function toStoredState(gameState) {
+    const stored = { ...gameState };
+    TIMER_KEYS.forEach(key => delete stored[key]);
+    return stored;
+}
+
+export class MemoryGameStateStore {
+    constructor() {
+        this.games = new Map(); // roomId -> live game state
+    }
+
+    get size() {
+        return this.games.size;
+    }
+
+    get(roomId) {
+        return this.games.get(roomId);
+    }
+
+    has(roomId) {
+        return this.games.has(roomId);
+    }
+
+    set(roomId, gameState) {
+        this.games.set(roomId, gameState);
+        return this;
+    }
+
+    delete(roomId) {
+        return this.games.delete(roomId);
+    }
+
+    values() {
+        return this.games.values();
+    }
+
+    entries() {
+        return this.games.entries();
+    }
+
+    /**
+     * Drop the local copy of a room's game, leaving the stored one alone
+     * (another instance runs that game)
+     * @param {string} roomId - Room ID
+     */
+    evict(roomId) {
+        this.games.delete(roomId);
+    }
+
+    /**
+     * Persist a room's game state after it changed (nothing to do in memory)
+     * @returns {Promise<void>}
+     */
+    async save() {
+    }
+
+    /**
+     * Load game states saved before a restart (none in memory)
+     * @returns {Promise<Array<Object>>} - Loaded game states
+     */
+    async load() {
+        return [];
+    }
+}
+
+export class MongoGameStateStore extends MemoryGameStateStore {
+    constructor() {
+        super();
+        this.writes = new Map(); // roomId -> last queued write, so writes land in order
+    }
+
+    /**
+     * Queue a write for a room behind any write already in flight
+     * @param {string} roomId - Room ID
+     * @param {Function} write - Async write
+     * @returns {Promise<void>}
+     */
+    queueWrite(roomId, write) {
+        const previous = this.writes.get(roomId) || Promise.resolve();
+        const next = previous.catch(() => {}).then(write);
+        this.writes.set(roomId, next);
+        next.finally(() => {
+            if (this.writes.get(roomId) === next) this.writes.delete(roomId);
+        }).catch(() => {});
+        return next;
+    }
+
+    set(roomId, gameState) {
+        super.set(roomId, gameState);
+        this.save(roomId).catch(error => {
+            console.error(`Error saving game state for room ${roomId}:`, error);
+        });
+        return this;
+    }
+
+    delete(roomId) {
+        const existed = super.delete(roomId);
+        this.queueWrite(roomId, () => GameState.deleteOne({ roomId })).catch(error => {
+            console.error(`Error deleting game state for room ${roomId}:`, error);
+        });
+        return existed;
+    }
+
+    /**
+     * Write a room's current game state to MongoDB
+     * The state is copied when the write runs, so changes made in the same
+     * tick as the save() call are included
+     * @param {string} roomId - Room ID
+     * @returns {Promise<void>}
+     */
+    save(roomId) {
+        return this.queueWrite(roomId, async () => {
+            const gameState = this.games.get(roomId);
+            if (!gameState) return;
+
+            await GameState.updateOne(
+                { roomId },
+                { $set: { status: gameState.gameStatus, state: toStoredState(gameState) } },
+                { upsert: true }
+            );
+        });
+    }
+
+    /**
+     * Load saved game states that aren't already in memory
+     * @param {Object} options
+     * @param {Array<string>} options.exclude - Rooms to skip as well (e.g. run by another instance)
+     * @returns {Promise<Array<Object>>} - Newly loaded game states (without timers)
+     */
+    async load({ exclude = [] } = {}) {
+        const docs = await GameState.find({ roomId: { $nin: [...this.games.keys(), ...exclude] } }).lean();
+        return docs.map(({ roomId, state }) => {
+            this.games.set(roomId, state);
+            return state;
+        });
+    }
+}
+
+/**
+ * Create the store chosen by GAME_STATE_STORE
+ * @param {string} type - 'memory' or 'mongo'
+ * @returns {MemoryGameStateStore} - Store instance
+ */
+export function createGameStateStore(type = process.env.GAME_STATE_STORE || 'memory') {
+    if (!GAME_STATE_STORES.includes(type)) {
+        throw new Error(`GAME_STATE_STORE must be one of: ${GAME_STATE_STORES.join(', ')}`);
+    }
+    return type === 'mongo' ? new MongoGameStateStore() : new MemoryGameStateStore();
+}
@@ -0,0 +1,205 @@
+import mongoose from 'mongoose';
+import Game from '../models/game.model.js';
+import statsService from './statsService.js';
+import { RATING_CONFIG } from '../utils/ratingUtils.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const LEADERBOARD_WINDOWS = ['all-time', 'weekly', 'daily'];
+export const DEFAULT_MIN_GAMES = 5;
+
+const SOLVED = { $eq: ['$players.outcome', 'solved'] };
+
+/**
+ * Ranking options: how entries are ranked, ordered and which entries qualify.
+ * Rank comes from the single `rankBy` key ($rank accepts only one sort field),
+ * so players tied on it share a rank; `tieBreak` only orders them within it.
+ */
+export const LEADERBOARD_SORTS = {
+    wins: {
+        rankBy: { wins: -1 },
+        tieBreak: { gamesPlayed: 1 }
+    },
+    winRate: {
+        rankBy: { winRate: -1 },
+        tieBreak: { gamesPlayed: -1 },
+        qualifies: (minGames) => ({ gamesPlayed: { $gte: minGames } })
+    },
+    avgAttempts: {
+        rankBy: { avgAttempts: 1 },
+        tieBreak: { solved: -1 },
+        qualifies: () => ({ solved: { $gt: 0 } })
+    },
+    points: {
+        rankBy: { points: -1 },
+        tieBreak: { gamesPlayed: 1 }
+    },
+    rating: {
+        rankBy: { rating: -1 },
+        tieBreak: { gamesPlayed: -1 }
+    }
+};
+
+class LeaderboardService {
+    /**
+     * Get the start of a leaderboard window (UTC)
+     * Daily starts at midnight, weekly on Monday at midnight
+     * @param {string} window - 'all-time', 'weekly' or 'daily'
+     * @param {Date} now - Defaults to now
+     * @returns {Date|null} - Window start, or null for all-time
+     */
+    getWindowStart(window, now = new Date()) {
+        if (window === 'all-time') return null;
+
+        const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+        if (window === 'daily') return new Date(today);
+
+        const daysSinceMonday = (now.getUTCDay() + 6) % 7;
+        return new Date(today - daysSinceMonday * DAY_MS);
+    }
+
+    /**
+     * Compute a ranked, paginated leaderboard from persisted Game records
+     * A match counts as one game, like in Player stats; attempts are averaged per solved round
+     * @param {Object} options
+     * @param {string} options.window - 'all-time', 'weekly' or 'daily'
+     * @param {string} options.sortBy - Key of LEADERBOARD_SORTS
+     * @param {number} options.minGames - Minimum games for win rate rankings
+     * @param {number} options.page - 1-based page
+     * @param {number} options.limit - Page size
+     * @param {string} options.playerId - Player to look up "my rank" for
+     * @returns {Promise<Object>} - { entries, total, me, windowStart }
+     */
+    async getLeaderboard({ window, sortBy, minGames, page, limit, playerId }) {
+        const { rankBy, tieBreak, qualifies } = LEADERBOARD_SORTS[sortBy];
+        const windowStart = this.getWindowStart(window);
+
+        const pipeline = [
+            ...(windowStart ? [{ $match: { endedAt: { $gte: windowStart } } }] : []),
+            { $unwind: '$players' },
+            { $sort: { endedAt: 1 } },
+            // Game records are rounds: total each player's rounds per match first
+            // (records without a matchId are one-round matches)
+            {
+                $group: {
+                    _id: { match: { $ifNull: ['$matchId', '$_id'] }, player: '$players.player' },
+                    username: { $last: '$players.username' },
+                    rankingMode: { $last: '$rankingMode' },
+                    endedAt: { $max: '$endedAt' },
+                    roundsWon: {
+                        $sum: { $cond: [{ $and: [{ $eq: ['$players.rank', 1] }, SOLVED] }, 1, 0] }
+                    },
+                    roundsSolved: { $sum: { $cond: [SOLVED, 1, 0] } },
+                    totalSolveTime: { $sum: { $cond: [SOLVED, { $ifNull: ['$players.solveTime', 0] }, 0] } },
+                    totalAttempts: { $sum: { $cond: [SOLVED, { $ifNull: ['$players.solveAttempts', 0] }, 0] } },
+                    score: { $sum: { $ifNull: ['$players.score', 0] } }
+                }
+            },
+            // Rank players within each match the way rankStandings does
+            {
+                $setWindowFields: {
+                    partitionBy: '$_id.match',
+                    sortBy: { roundsWon: -1, roundsSolved: -1, totalSolveTime: 1 },
+                    output: { fastestRank: { $documentNumber: {} } }
+                }
+            },
+            {
+                $setWindowFields: {
+                    partitionBy: '$_id.match',
+                    sortBy: { score: -1, roundsWon: -1, roundsSolved: -1, totalSolveTime: 1 },
+                    output: { pointsRank: { $documentNumber: {} } }
+                }
+            },
+            {
+                $set: {
+                    rank: { $cond: [{ $eq: ['$rankingMode', 'points'] }, '$pointsRank', '$fastestRank'] },
+                    outcome: { $cond: [{ $gt: ['$roundsSolved', 0] }, 'solved', 'failed'] }
+                }
+            },
+            { $sort: { endedAt: 1 } },
+            {
+                $group: {
+                    _id: '$_id.player',
+                    username: { $last: '$username' }, // Latest name wins
+                    gamesPlayed: { $sum: 1 },
+                    wins: { $sum: { $cond: [statsService.getWinExpression('$$ROOT'), 1, 0] } },
+                    solved: { $sum: { $cond: [{ $eq: ['$outcome', 'solved'] }, 1, 0] } },
+                    roundsSolved: { $sum: '$roundsSolved' },
+                    solvedAttempts: { $sum: '$totalAttempts' },
+                    points: { $sum: '$score' }
+                }
+            },
+            {
+                $set: {
+                    winRate: { $round: [{ $multiply: [{ $divide: ['$wins', '$gamesPlayed'] }, 100] }, 2] },
+                    avgAttempts: {
+                        $cond: [
+                            { $gt: ['$roundsSolved', 0] },
+                            { $round: [{ $divide: ['$solvedAttempts', '$roundsSolved'] }, 2] },
+                            null
+                        ]
+                    }
+                }
+            },
+            // Current skill rating lives on the Player, not on Game records
+            {
+                $lookup: {
+                    from: 'players',
+                    localField: '_id',
+                    foreignField: '_id',
+                    pipeline: [{ $project: { rating: 1 } }],
+                    as: 'profile'
+                }
+            },
+            {
+                $set: {
+                    rating: { $ifNull: [{ $first: '$profile.rating' }, RATING_CONFIG.initialRating] }
+                }
+            },
+            ...(qualifies ? [{ $match: qualifies(minGames) }] : []),
+            {
+                $setWindowFields: {
+                    sortBy: rankBy,
+                    output: { rank: { $rank: {} } }
+                }
+            },
+            { $sort: { rank: 1, ...tieBreak, _id: 1 } },
+            {
+                $project: {
+                    _id: 0,
+                    rank: 1,
+                    playerId: '$_id',
+                    username: 1,
+                    gamesPlayed: 1,
+                    wins: 1,
+                    winRate: 1,
+                    solved: 1,
+                    avgAttempts: 1,
+                    points: 1,
+                    rating: 1
+                }
+            },
+            {
+                $facet: {
+                    entries: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+                    total: [{ $count: 'count' }],
+                    me: mongoose.Types.ObjectId.isValid(playerId)
+                        ? [{ $match: { playerId: new mongoose.Types.ObjectId(playerId) } }]
+                        : [{ $limit: 0 }]
+                }
+            }
+        ];
+
+        const [result] = await Game.aggregate(pipeline);
+
+        return {
+            entries: result.entries,
+            total: result.total[0]?.count || 0,
+            me: result.me[0] || null,
+            windowStart
+        };
+    }
+}
+
+const leaderboardService = new LeaderboardService();
+export default leaderboardService;
@@ -0,0 +1,97 @@
+import Room from '../models/room.model.js';
+import { DEFAULT_ROOM_SETTINGS } from '../utils/roomSettings.js';
+
+export const LOBBY_CHANNEL = 'lobby';
+const LOBBY_PUSH_SIZE = 50;       // Rooms sent in each lobby-list push
+const LOBBY_PUSH_DEBOUNCE_MS = 500; // Batch bursts of joins/leaves into one push
+
+class LobbyService {
+    constructor() {
+        this.pushTimer = null;
+    }
+
+    /**
+     * Filter for rooms that show up in the browser:
+     * public, unlocked, waiting for a game and with a free seat
+     * @returns {Object} - Mongo filter
+     */
+    getOpenRoomFilter() {
+        return {
+            visibility: 'public',
+            status: 'waiting',
+            locked: { $ne: true },
+            $expr: {
+                $lt: [
+                    { $size: '$players' },
+                    { $ifNull: ['$settings.maxPlayers', DEFAULT_ROOM_SETTINGS.maxPlayers] }
+                ]
+            }
+        };
+    }
+
+    /**
+     * List open public rooms, newest first
+     * @param {Object} options - { page, limit }
+     * @returns {Promise<Object>} - { rooms, total }
+     */
+    async listPublicRooms({ page = 1, limit = LOBBY_PUSH_SIZE } = {}) {
+        const filter = this.getOpenRoomFilter();
+
+        const [rooms, total] = await Promise.all([
+            Room.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .select('+password roomId owner players spectators settings visibility status createdAt')
+                .populate('owner', 'username')
+                .lean(),
+            Room.countDocuments(filter)
+        ]);
+
+        return {
+            rooms: rooms.map(room => this.formatRoom(room)),
+            total
+        };
+    }
+
+    /**
+     * Shape a room for the lobby (never includes the password hash)
+     * @param {Object} room - Lean room document with populated owner
+     * @returns {Object} - Lobby entry
+     */
+    formatRoom(room) {
+        return {
+            roomId: room.roomId,
+            owner: room.owner,
+            playerCount: room.players.length,
+            maxPlayers: room.settings?.maxPlayers ?? DEFAULT_ROOM_SETTINGS.maxPlayers,
+            spectatorCount: room.spectators?.length || 0,
+            settings: room.settings,
+            status: room.status,
+            hasPassword: !!room.password,
+            createdAt: room.createdAt
+        };
+    }
+
+    /**
+     * Push the current room list to everyone watching the lobby
+     * Debounced so a burst of changes sends a single update
+     * @param {Object} io - Socket.IO server instance
+     */
+    notifyLobbyChanged(io) {
+        if (!io || this.pushTimer) return;
+
+        this.pushTimer = setTimeout(async () => {
+            this.pushTimer = null;
+            try {
+                const { rooms, total } = await this.listPublicRooms();
+                io.to(LOBBY_CHANNEL).emit('lobby-list', { rooms, total });
+            } catch (error) {
+                console.error('Error pushing lobby list:', error);
+            }
+        }, LOBBY_PUSH_DEBOUNCE_MS);
+    }
+}
+
+const lobbyService = new LobbyService();
+export default lobbyService;
@@ -0,0 +1,190 @@
+/**
+ * MATCHMAKING POOL
+ *
+ * In-memory pool of players waiting for a public match. Players are grouped
+ * with others who want the same category/settings and whose skill rating is
+ * within a band that widens the longer they wait. The socket handler owns the
+ * sockets and rooms; this service only decides who plays whom.
+ * The pool is per instance: with several instances, players are matched
+ * with others connected to the same one.
+ */
+
+export const MATCHMAKING_CONFIG = {
+    minPlayers: 2,
+    maxPlayers: 4,
+    fillWaitMs: 15 * 1000,     // Start with fewer than maxPlayers after the oldest waited this long
+    baseRatingBand: 100,       // Allowed rating difference when joining
+    ratingBandStep: 50,        // Added to the band ...
+    ratingBandStepMs: 10 * 1000, // ... every 10 seconds of waiting
+    maxRatingBand: 500,
+    queueTimeoutMs: 2 * 60 * 1000
+};
+
+// Settings a player can filter the queue by
+export const QUEUE_SETTING_KEYS = ['wordLength', 'maxAttempts', 'timeLimit', 'scoringMode', 'hardMode'];
+
+class MatchmakingService {
+    constructor(config = MATCHMAKING_CONFIG) {
+        this.config = config;
+        this.queue = new Map(); // playerId -> queue entry
+    }
+
+    /**
+     * Add a player to the pool (replaces an existing entry for the same player)
+     * @param {Object} entry - { playerId, username, socketId, rating, category, settings }
+     * @returns {Object} - The stored entry
+     */
+    join(entry) {
+        const stored = { ...entry, joinedAt: Date.now() };
+        this.queue.set(entry.playerId, stored);
+        return stored;
+    }
+
+    /**
+     * Put a matched entry back in the pool, keeping its place in line
+     * (unless the player queued again in the meantime)
+     * @param {Object} entry - Entry returned by findMatches
+     */
+    requeue(entry) {
+        if (!this.queue.has(entry.playerId)) {
+            this.queue.set(entry.playerId, entry);
+        }
+    }
+
+    /**
+     * Remove a player from the pool
+     * @param {string} playerId - Player ID
+     * @returns {Object|null} - The removed entry, if any
+     */
+    leave(playerId) {
+        const entry = this.queue.get(playerId) || null;
+        this.queue.delete(playerId);
+        return entry;
+    }
+
+    /**
+     * Get a player's queue entry
+     * @param {string} playerId - Player ID
+     * @returns {Object|undefined} - Queue entry
+     */
+    get(playerId) {
+        return this.queue.get(playerId);
+    }
+
+    /**
+     * Number of players waiting
+     * @returns {number} - Queue size
+     */
+    get size() {
+        return this.queue.size;
+    }
+
+    /**
+     * Allowed rating difference for a player, widening with time in the queue
+     * @param {Object} entry - Queue entry
+     * @param {number} now - Current time in ms
+     * @returns {number} - Rating band
+     */
+    getRatingBand(entry, now = Date.now()) {
+        const steps = Math.floor((now - entry.joinedAt) / this.config.ratingBandStepMs);
+        return Math.min(
+            this.config.maxRatingBand,
+            this.config.baseRatingBand + steps * this.config.ratingBandStep
+        );
+    }
+
+    /**
+     * Check whether two queued players can be put in the same match
+     * Unset category or settings match anything
+     * @param {Object} a - Queue entry
+     * @param {Object} b - Queue entry
+     * @param {number} now - Current time in ms
+     * @returns {boolean} - True if compatible
+     */
+    isCompatible(a, b, now = Date.now()) {
+        if (a.category && b.category && a.category !== b.category) return false;
+
+        for (const key of QUEUE_SETTING_KEYS) {
+            const wantA = a.settings?.[key];
+            const wantB = b.settings?.[key];
+            if (wantA !== undefined && wantB !== undefined && wantA !== wantB) return false;
+        }
+
+        // The longer-waiting player's wider band decides
+        const band = Math.max(this.getRatingBand(a, now), this.getRatingBand(b, now));
+        return Math.abs(a.rating - b.rating) <= band;
+    }
+
+    /**
+     * Remove players who waited longer than the queue timeout
+     * @param {number} now - Current time in ms
+     * @returns {Array<Object>} - Expired entries
+     */
+    expire(now = Date.now()) {
+        const expired = [];
+        for (const entry of this.queue.values()) {
+            if (now - entry.joinedAt >= this.config.queueTimeoutMs) {
+                expired.push(entry);
+                this.queue.delete(entry.playerId);
+            }
+        }
+        return expired;
+    }
+
+    /**
+     * Form as many matches as possible and take their players out of the pool
+     * Oldest players are matched first
+     * @param {number} now - Current time in ms
+     * @returns {Array<Array<Object>>} - Groups of queue entries
+     */
+    findMatches(now = Date.now()) {
+        const waiting = [...this.queue.values()].sort((a, b) => a.joinedAt - b.joinedAt);
+        const matched = new Set();
+        const groups = [];
+
+        for (const seed of waiting) {
+            if (matched.has(seed.playerId)) continue;
+
+            const group = [seed];
+            for (const candidate of waiting) {
+                if (group.length >= this.config.maxPlayers) break;
+                if (candidate === seed || matched.has(candidate.playerId)) continue;
+                if (group.every(member => this.isCompatible(member, candidate, now))) {
+                    group.push(candidate);
+                }
+            }
+
+            const isFull = group.length >= this.config.maxPlayers;
+            const waitedLongEnough = now - seed.joinedAt >= this.config.fillWaitMs;
+            if (group.length >= this.config.minPlayers && (isFull || waitedLongEnough)) {
+                group.forEach(entry => {
+                    matched.add(entry.playerId);
+                    this.queue.delete(entry.playerId);
+                });
+                groups.push(group);
+            }
+        }
+
+        return groups;
+    }
+
+    /**
+     * Combine the category and settings a group asked for
+     * @param {Array<Object>} group - Queue entries
+     * @returns {Object} - { category, settings }
+     */
+    getGroupPreferences(group) {
+        const settings = {};
+        let category = null;
+        for (const entry of group) {
+            category = category || entry.category || null;
+            for (const key of QUEUE_SETTING_KEYS) {
+                if (entry.settings?.[key] !== undefined) settings[key] = entry.settings[key];
+            }
+        }
+        return { category: category || 'random', settings };
+    }
+}
+
+const matchmakingService = new MatchmakingService();
+export default matchmakingService;
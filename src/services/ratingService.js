@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+import Player from '../models/player.model.js';
+import { calculateRatingChanges, RATING_CONFIG } from '../utils/ratingUtils.js';
+
+class RatingService {
+    /**
+     * Update the skill rating of every participant of a finished multiplayer match
+     * @param {Array} leaderboard - Final match standings from endMatch (rank, isSolved)
+     * @param {Object} game - { gameId, matchId } for the rating history
+     * @returns {Promise<Map>} - playerId -> { ratingBefore, rating, change }
+     */
+    async recordGameRatings(leaderboard, { gameId = null, matchId = null } = {}) {
+        const changesById = new Map();
+        const entries = leaderboard.filter(entry => mongoose.Types.ObjectId.isValid(entry.playerId));
+
+        // Ratings only move in games against other people
+        if (entries.length < 2) return changesById;
+
+        try {
+            const docs = await Player.find({ _id: { $in: entries.map(entry => entry.playerId) } })
+                .select('rating ratedGames')
+                .lean();
+            const docsById = new Map(docs.map(doc => [doc._id.toString(), doc]));
+
+            const changes = calculateRatingChanges(entries.map(entry => ({
+                playerId: entry.playerId,
+                rank: entry.rank,
+                isSolved: entry.isSolved,
+                rating: docsById.get(entry.playerId)?.rating,
+                ratedGames: docsById.get(entry.playerId)?.ratedGames
+            })));
+
+            const playedAt = new Date();
+            const ops = changes.map(change => ({
+                updateOne: {
+                    filter: { _id: new mongoose.Types.ObjectId(change.playerId) },
+                    update: {
+                        $set: { rating: change.rating },
+                        $inc: { ratedGames: 1 },
+                        $max: { peakRating: change.rating },
+                        $push: {
+                            ratingHistory: {
+                                $each: [{
+                                    rating: change.rating,
+                                    change: change.change,
+                                    game: gameId,
+                                    matchId,
+                                    playedAt
+                                }],
+                                $slice: -RATING_CONFIG.historyLength
+                            }
+                        }
+                    }
+                }
+            }));
+
+            await Player.bulkWrite(ops, { ordered: false });
+            changes.forEach(change => changesById.set(change.playerId, change));
+            console.log(`📊 Updated ratings for ${ops.length} players`);
+        } catch (error) {
+            console.error('Error updating player ratings:', error);
+        }
+
+        return changesById;
+    }
+}
+
+const ratingService = new RatingService();
+export default ratingService;
@@ -0,0 +1,176 @@
+import crypto from 'crypto';
+import RoomLock from '../models/roomLock.model.js';
+
+/**
+ * ROOM LOCKS
+ *
+ * With more than one server instance, exactly one of them must run a room's
+ * game timers and own its live game state. A room lock names that instance.
+ * Locks expire unless the holder keeps renewing them, so when an instance
+ * dies another one can take its games over (see GameSocketHandler.adoptGames).
+ *
+ * - MemoryRoomLock: single instance - every lock is granted
+ * - MongoRoomLock: locks shared through MongoDB
+ *
+ * Chosen together with the Socket.IO adapter (SOCKET_ADAPTER=memory|mongo).
+ */
+
+export const ROOM_LOCK_CONFIG = {
+    ttlMs: 30 * 1000,        // A lock lapses this long after its last renewal
+    renewIntervalMs: 10 * 1000
+};
+
+// Identifies this server instance in lock documents
+export const NODE_ID = process.env.NODE_ID || crypto.randomUUID();
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+export class MemoryRoomLock {
+    constructor(nodeId = NODE_ID) {
+        this.nodeId = nodeId;
+        this.shared = false; // Only this instance exists
+        this.held = new Set(); // roomIds locked by this instance
+    }
+
+    /**
+     * Take (or keep) the lock for a room
+     * @param {string} roomId - Room ID
+     * @returns {Promise<boolean>} - Whether this instance now holds it
+     */
+    async acquire(roomId) {
+        this.held.add(roomId);
+        return true;
+    }
+
+    /**
+     * Give up a room's lock
+     * @param {string} roomId - Room ID
+     * @returns {Promise<void>}
+     */
+    async release(roomId) {
+        this.held.delete(roomId);
+    }
+
+    /**
+     * Whether this instance holds a room's lock
+     * @param {string} roomId - Room ID
+     * @returns {boolean}
+     */
+    owns(roomId) {
+        return this.held.has(roomId);
+    }
+
+    /**
+     * Which instance holds a room's lock
+     * @param {string} roomId - Room ID
+     * @returns {Promise<string|null>} - Node ID, or null if nobody does
+     */
+    async getOwner(roomId) {
+        return this.owns(roomId) ? this.nodeId : null;
+    }
+
+    /**
+     * Rooms with a live lock, held by any instance
+     * @returns {Promise<Array<string>>} - Room IDs
+     */
+    async getLockedRoomIds() {
+        return [...this.held];
+    }
+
+    /**
+     * Push back the expiry of every lock this instance holds
+     * @returns {Promise<void>}
+     */
+    async renewAll() {
+    }
+}
+
+export class MongoRoomLock extends MemoryRoomLock {
+    constructor(nodeId = NODE_ID, config = ROOM_LOCK_CONFIG) {
+        super(nodeId);
+        this.shared = true;
+        this.config = config;
+        this.pending = new Map(); // roomId -> last queued lock operation
+    }
+
+    /**
+     * Run lock operations for a room one at a time, so a release followed by
+     * an acquire (start-again) can't reach MongoDB out of order
+     * @param {string} roomId - Room ID
+     * @param {Function} operation - Async operation
+     * @returns {Promise<*>} - The operation's result
+     */
+    queue(roomId, operation) {
+        const previous = this.pending.get(roomId) || Promise.resolve();
+        const next = previous.catch(() => {}).then(operation);
+        this.pending.set(roomId, next);
+        next.finally(() => {
+            if (this.pending.get(roomId) === next) this.pending.delete(roomId);
+        }).catch(() => {});
+        return next;
+    }
+
+    acquire(roomId) {
+        return this.queue(roomId, () => this.tryAcquire(roomId));
+    }
+
+    /**
+     * Take the lock if it's free, lapsed or already ours
+     * @param {string} roomId - Room ID
+     * @returns {Promise<boolean>} - Whether this instance now holds it
+     */
+    async tryAcquire(roomId) {
+        const now = new Date();
+        try {
+            // Matches a lock we already hold or one that lapsed; otherwise the
+            // upsert hits the unique roomId index and someone else holds it
+            await RoomLock.findOneAndUpdate(
+                { roomId, $or: [{ owner: this.nodeId }, { expiresAt: { $lte: now } }] },
+                { $set: { owner: this.nodeId, expiresAt: new Date(now.getTime() + this.config.ttlMs) } },
+                { upsert: true }
+            );
+        } catch (error) {
+            if (error.code === DUPLICATE_KEY_ERROR) {
+                this.held.delete(roomId);
+                return false;
+            }
+            throw error;
+        }
+        this.held.add(roomId);
+        return true;
+    }
+
+    release(roomId) {
+        this.held.delete(roomId);
+        return this.queue(roomId, () => RoomLock.deleteOne({ roomId, owner: this.nodeId }));
+    }
+
+    async getOwner(roomId) {
+        if (this.owns(roomId)) return this.nodeId;
+
+        const lock = await RoomLock.findOne({ roomId, expiresAt: { $gt: new Date() } }).select('owner').lean();
+        return lock?.owner || null;
+    }
+
+    async getLockedRoomIds() {
+        return RoomLock.distinct('roomId', { expiresAt: { $gt: new Date() } });
+    }
+
+    async renewAll() {
+        if (this.held.size === 0) return;
+
+        await RoomLock.updateMany(
+            { roomId: { $in: [...this.held] }, owner: this.nodeId },
+            { $set: { expiresAt: new Date(Date.now() + this.config.ttlMs) } }
+        );
+    }
+}
+
+/**
+ * Create the room lock matching the Socket.IO adapter
+ * @param {string} type - 'memory' or 'mongo'
+ * @returns {MemoryRoomLock} - Lock instance
+ */
+export function createRoomLock(type = process.env.SOCKET_ADAPTER || 'memory') {
+    return type === 'mongo' ? new MongoRoomLock() : new MemoryRoomLock();
+}
@@ -0,0 +1,170 @@
+import mongoose from 'mongoose';
+import Player from '../models/player.model.js';
+import { RATING_CONFIG } from '../utils/ratingUtils.js';
+import { GUESS_DISTRIBUTION_BUCKETS } from '../utils/roomSettings.js';
+
+const RECENT_RATING_HISTORY = 20;
+
+/**
+ * Win rules - decide whether a leaderboard entry counts as a win.
+ * Selected with the WIN_RULE environment variable (defaults to 'rank1').
+ */
+const WIN_RULES = {
+    rank1: (entry) => entry.rank === 1 && entry.isSolved,
+    solved: (entry) => entry.isSolved
+};
+
+/**
+ * The same win rules as aggregation expressions over a Game player entry
+ * (used to compute leaderboards from persisted Game records)
+ */
+const WIN_EXPRESSIONS = {
+    rank1: (field) => ({ $and: [{ $eq: [`${field}.rank`, 1] }, { $eq: [`${field}.outcome`, 'solved'] }] }),
+    solved: (field) => ({ $eq: [`${field}.outcome`, 'solved'] })
+};
+
+class StatsService {
+    /**
+     * Get the configured win rule (read lazily so dotenv has loaded)
+     * @returns {string} - Win rule key
+     */
+    getWinRule() {
+        const rule = process.env.WIN_RULE || 'rank1';
+        return WIN_RULES[rule] ? rule : 'rank1';
+    }
+
+    /**
+     * Check whether a leaderboard entry counts as a win
+     * @param {Object} entry - Final leaderboard entry
+     * @returns {boolean} - True if the entry is a win under the configured rule
+     */
+    isWin(entry) {
+        return WIN_RULES[this.getWinRule()](entry);
+    }
+
+    /**
+     * Build an aggregation expression that is true when a Game player entry is a win
+     * @param {string} field - Path to the Game player entry, e.g. '$players'
+     * @returns {Object} - Aggregation expression
+     */
+    getWinExpression(field) {
+        return WIN_EXPRESSIONS[this.getWinRule()](field);
+    }
+
+    /**
+     * Build the atomic update pipeline for one player's match result
+     * A match counts as one game; every round still adds to the guess
+     * distribution and the solve time average (per solved round)
+     * @param {Object} entry - Final match standing (rank, isSolved, solveTime, roundsSolved, guessDistribution)
+     * @returns {Array} - Aggregation pipeline for updateOne
+     */
+    buildUpdate(entry) {
+        const won = this.isWin(entry);
+        const solved = !!entry.isSolved;
+        const solveTime = solved ? entry.solveTime || 0 : 0; // Summed over the solved rounds
+        const roundsSolved = entry.roundsSolved ?? (solved ? 1 : 0);
+        const distribution = Object.entries(entry.guessDistribution || {});
+
+        return [
+            {
+                $set: {
+                    gamesPlayed: { $add: [{ $ifNull: ['$gamesPlayed', 0] }, 1] },
+                    gamesWon: { $add: [{ $ifNull: ['$gamesWon', 0] }, won ? 1 : 0] },
+                    gamesLost: { $add: [{ $ifNull: ['$gamesLost', 0] }, won ? 0 : 1] },
+                    gamesSolved: { $add: [{ $ifNull: ['$gamesSolved', 0] }, solved ? 1 : 0] },
+                    totalSolveTime: { $add: [{ $ifNull: ['$totalSolveTime', 0] }, solveTime] },
+                    // Older players have no counter yet; their gamesSolved counted rounds
+                    roundsSolved: { $add: [{ $ifNull: ['$roundsSolved', { $ifNull: ['$gamesSolved', 0] }] }, roundsSolved] },
+                    currentStreak: won ? { $add: [{ $ifNull: ['$currentStreak', 0] }, 1] } : 0,
+                    guessDistribution: {
+                        $mergeObjects: [
+                            '$guessDistribution',
+                            Object.fromEntries(distribution.map(([bucket, count]) => [
+                                bucket,
+                                { $add: [{ $ifNull: [`$guessDistribution.${bucket}`, 0] }, count] }
+                            ]))
+                        ]
+                    }
+                }
+            },
+            {
+                // Derived fields, computed from the counters set above
+                $set: {
+                    maxStreak: { $max: [{ $ifNull: ['$maxStreak', 0] }, '$currentStreak'] },
+                    winRate: {
+                        $round: [{ $multiply: [{ $divide: ['$gamesWon', '$gamesPlayed'] }, 100] }, 2]
+                    },
+                    averageSolveTime: {
+                        $cond: [
+                            { $gt: ['$roundsSolved', 0] },
+                            { $round: [{ $divide: ['$totalSolveTime', '$roundsSolved'] }, 0] },
+                            0
+                        ]
+                    }
+                }
+            }
+        ];
+    }
+
+    /**
+     * Persist stats for every participant of a finished match
+     * Each player is updated with a single atomic pipeline update
+     * @param {Array} leaderboard - Final match standings from endMatch
+     */
+    async recordGameResults(leaderboard) {
+        const ops = leaderboard
+            .filter(entry => mongoose.Types.ObjectId.isValid(entry.playerId))
+            .map(entry => ({
+                updateOne: {
+                    filter: { _id: new mongoose.Types.ObjectId(entry.playerId) },
+                    update: this.buildUpdate(entry)
+                }
+            }));
+
+        if (ops.length === 0) return;
+
+        try {
+            await Player.bulkWrite(ops, { ordered: false });
+            console.log(`📈 Updated stats for ${ops.length} players`);
+        } catch (error) {
+            console.error('Error updating player stats:', error);
+        }
+    }
+
+    /**
+     * Get the stats for a player, including their skill rating and recent rating history
+     * @param {string} playerId - Player ID
+     * @returns {Promise<Object|null>} - Stats object or null if not found
+     */
+    async getPlayerStats(playerId) {
+        const player = await Player.findById(playerId)
+            .select('username gamesPlayed gamesWon gamesLost winRate gamesSolved currentStreak maxStreak guessDistribution averageSolveTime rating peakRating ratedGames')
+            .slice('ratingHistory', -RECENT_RATING_HISTORY)
+            .lean();
+        if (!player) return null;
+
+        return {
+            playerId: player._id,
+            username: player.username,
+            gamesPlayed: player.gamesPlayed || 0,
+            gamesWon: player.gamesWon || 0,
+            gamesLost: player.gamesLost || 0,
+            winRate: player.winRate || 0,
+            gamesSolved: player.gamesSolved || 0,
+            currentStreak: player.currentStreak || 0,
+            maxStreak: player.maxStreak || 0,
+            guessDistribution: {
+                ...Object.fromEntries(GUESS_DISTRIBUTION_BUCKETS.map(bucket => [bucket, 0])),
+                ...player.guessDistribution
+            },
+            averageSolveTime: player.averageSolveTime || 0,
+            rating: player.rating ?? RATING_CONFIG.initialRating,
+            peakRating: player.peakRating ?? RATING_CONFIG.initialRating,
+            ratedGames: player.ratedGames || 0,
+            ratingHistory: player.ratingHistory || []
+        };
+    }
+}
+
+const statsService = new StatsService();
+export default statsService;
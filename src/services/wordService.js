@@ -1,4 +1,7 @@
 import axios from 'axios';
+import { DICTIONARY_WORDS } from '../words/dictionary.js';
+import { CATEGORY_WORDS } from '../words/categoryWords.js';
+import { MIN_WORD_LENGTH, MAX_WORD_LENGTH } from '../utils/roomSettings.js';
 
 class WordService {
     constructor() {
@@ -33,63 +36,93 @@ class WordService {
         // Cache for storing fetched words to avoid repeated API calls
         this.wordCache = new Map();
         this.cacheExpiry = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
+
+        // Bundled answer lists and accepted guesses (work without the network)
+        this.bundledWords = CATEGORY_WORDS;
+        this.validGuesses = new Set([
+            ...DICTIONARY_WORDS,
+            ...Object.values(CATEGORY_WORDS).flat()
+        ]);
     }
 
     /**
-     * Get a random 5-letter word from a specific category via API
+     * Get a random word from a specific category via API,
+     * falling back to the bundled answer list when the API is unavailable
      * @param {string} category - The category to get word from
+     * @param {number} wordLength - Number of letters (defaults to the category's length)
      * @returns {Promise<Object>} - Word object with word, category, and metadata
      */
-    async getWordFromCategory(category) {
-        if (!this.categories[category]) {
+    async getWordFromCategory(category, wordLength = this.categories[category]?.wordLength) {
+        if (!this.hasCategory(category)) {
             throw new Error(`Category '${category}' not found. Available categories: ${Object.keys(this.categories).join(', ')}`);
         }
 
         try {
             // Check cache first
-            const cachedWords = this.getCachedWords(category);
+            const cachedWords = this.getCachedWords(category, wordLength);
             if (cachedWords && cachedWords.length > 0) {
                 const randomWord = cachedWords[Math.floor(Math.random() * cachedWords.length)];
                 return {
                     word: randomWord.toUpperCase(),
                     category: this.categories[category].name,
-                    length: 5,
+                    length: wordLength,
                     source: 'cache'
                 };
             }
 
             // Fetch from API if not in cache
-            const words = await this.fetchWordsFromAPI(category);
-            if (words.length === 0) {
-                throw new Error(`No 5-letter words found for category: ${category}`);
-            }
-
-            // Cache the words
-            this.setCachedWords(category, words);
-
-            const randomWord = words[Math.floor(Math.random() * words.length)];
-            return {
-                word: randomWord.toUpperCase(),
-                category: this.categories[category].name,
-                length: 5,
-                source: 'api'
-            };
+            const words = await this.fetchWordsFromAPI(category, wordLength);
+            if (words.length > 0) {
+                // Cache the words
+                this.setCachedWords(category, words, wordLength);
 
+                const randomWord = words[Math.floor(Math.random() * words.length)];
+                return {
+                    word: randomWord.toUpperCase(),
+                    category: this.categories[category].name,
+                    length: wordLength,
+                    source: 'api'
+                };
+            }
         } catch (error) {
             console.error(`Error fetching word for category ${category}:`, error.message);
-            throw new Error(`Failed to fetch word for category: ${category}`);
         }
+
+        // Datamuse unreachable or empty - fall back to the bundled answer list
+        return this.getBundledWord(category, wordLength);
+    }
+
+    /**
+     * Get a random word from the bundled answer list for a category
+     * @param {string} category - The category to get word from
+     * @param {number} wordLength - Number of letters (defaults to the category's length)
+     * @returns {Object} - Word object with word, category, and metadata
+     */
+    getBundledWord(category, wordLength = this.categories[category]?.wordLength) {
+        const words = (this.bundledWords[category] || []).filter(word => word.length === wordLength);
+        if (words.length === 0) {
+            throw new Error(`No bundled ${wordLength}-letter words available for category: ${category}`);
+        }
+
+        const randomWord = words[Math.floor(Math.random() * words.length)];
+        return {
+            word: randomWord,
+            category: this.categories[category].name,
+            length: wordLength,
+            source: 'bundled'
+        };
     }
 
     /**
      * Fetch words from API based on category
      * @param {string} category - The category to fetch words for
-     * @returns {Promise<Array>} - Array of 5-letter words
+     * @param {number} wordLength - Number of letters (defaults to the category's length)
+     * @returns {Promise<Array>} - Array of words with exactly wordLength letters
      */
-    async fetchWordsFromAPI(category) {
+    async fetchWordsFromAPI(category, wordLength = this.categories[category]?.wordLength) {
         const categoryConfig = this.categories[category];
         let apiParams = {
-            sp: '?????', // Exactly 5 characters
+            sp: '?'.repeat(wordLength), // Exactly wordLength characters
             max: 100
         };
 
@@ -119,9 +152,10 @@ class WordService {
             });
 
             if (response.data && Array.isArray(response.data)) {
-                // Filter for exactly 5-letter words and extract word text
+                // Filter for exactly wordLength letters and extract word text
+                const lettersOnly = new RegExp(`^[a-zA-Z]{${wordLength}}$`);
                 const words = response.data
-                    .filter(item => item.word && item.word.length === 5)
+                    .filter(item => item.word && lettersOnly.test(item.word))
                     .map(item => item.word.toUpperCase())
                     .filter((word, index, self) => self.indexOf(word) === index); // Remove duplicates
 
@@ -139,9 +173,10 @@ class WordService {
      * Get multiple words for a game round
      * @param {string} category - The category to get words from
      * @param {number} count - Number of words to return
+     * @param {number} wordLength - Number of letters (defaults to the category's length)
      * @returns {Promise<Array>} - Array of word objects
      */
-    async getWordsForGame(category, count = 1) {
+    async getWordsForGame(category, count = 1, wordLength = this.categories[category]?.wordLength) {
         const words = [];
         const usedWords = new Set();
 
@@ -151,7 +186,7 @@ class WordService {
             const maxAttempts = 20; // Prevent infinite loop
 
             do {
-                wordObj = await this.getWordFromCategory(category);
+                wordObj = await this.getWordFromCategory(category, wordLength);
                 attempts++;
             } while (usedWords.has(wordObj.word) && attempts < maxAttempts);
 
@@ -166,21 +201,23 @@ class WordService {
 
     /**
      * Get a random word from any category
+     * @param {number} wordLength - Number of letters (defaults to the category's length)
      * @returns {Promise<Object>} - Word object with word, category, and metadata
      */
-    async getRandomWord() {
+    async getRandomWord(wordLength) {
         const categories = Object.keys(this.categories);
         const randomCategory = categories[Math.floor(Math.random() * categories.length)];
-        return await this.getWordFromCategory(randomCategory);
+        return await this.getWordFromCategory(randomCategory, wordLength ?? this.categories[randomCategory].wordLength);
     }
 
     /**
      * Get cached words for a category
      * @param {string} category - The category to get cached words for
+     * @param {number} wordLength - Number of letters (defaults to the category's length)
      * @returns {Array|null} - Cached words or null if not found/expired
      */
-    getCachedWords(category) {
-        const cached = this.wordCache.get(category);
+    getCachedWords(category, wordLength = this.categories[category]?.wordLength) {
+        const cached = this.wordCache.get(this.getCacheKey(category, wordLength));
         if (cached && (Date.now() - cached.timestamp) < this.cacheExpiry) {
             return cached.words;
         }
@@ -191,14 +228,27 @@ class WordService {
      * Set cached words for a category
      * @param {string} category - The category to cache words for
      * @param {Array} words - The words to cache
+     * @param {number} wordLength - Number of letters (defaults to the category's length)
      */
-    setCachedWords(category, words) {
-        this.wordCache.set(category, {
+    setCachedWords(category, words, wordLength = this.categories[category]?.wordLength) {
+        this.wordCache.set(this.getCacheKey(category, wordLength), {
+            category,
+            wordLength,
             words: words,
             timestamp: Date.now()
         });
     }
 
+    /**
+     * Build the cache key for a category and word length
+     * @param {string} category - The category
+     * @param {number} wordLength - Number of letters
+     * @returns {string} - Cache key
+     */
+    getCacheKey(category, wordLength) {
+        return `${category}:${wordLength}`;
+    }
+
     /**
      * Get available categories
      * @returns {Array} - Array of category objects
@@ -211,6 +261,40 @@ class WordService {
         }));
     }
 
+    /**
+     * Check whether a category key exists
+     * @param {string} category - The category key to check
+     * @returns {boolean} - True if the category is available
+     */
+    hasCategory(category) {
+        return Object.prototype.hasOwnProperty.call(this.categories, category);
+    }
+
+    /**
+     * Check whether a word is an accepted guess.
+     * Accepts anything in the bundled dictionary, the bundled answer lists,
+     * or words fetched from the API that could have been picked as the answer.
+     * @param {string} word - The word to check
+     * @returns {boolean} - True if the word may be guessed
+     */
+    isValidGuess(word) {
+        if (typeof word !== 'string') {
+            return false;
+        }
+
+        const upperWord = word.toUpperCase();
+        if (this.validGuesses.has(upperWord)) {
+            return true;
+        }
+
+        for (const { words } of this.wordCache.values()) {
+            if (words.includes(upperWord)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
     /**
      * Validate if a word exists in the category (checks cache first)
      * @param {string} word - The word to validate
@@ -223,20 +307,21 @@ class WordService {
         }
 
         const upperWord = word.toUpperCase();
-        if (upperWord.length !== 5) {
+        const wordLength = upperWord.length;
+        if (wordLength < MIN_WORD_LENGTH || wordLength > MAX_WORD_LENGTH) {
             return false;
         }
 
         // Check cache first
-        const cachedWords = this.getCachedWords(category);
+        const cachedWords = this.getCachedWords(category, wordLength);
         if (cachedWords) {
             return cachedWords.includes(upperWord);
         }
 
         // If not in cache, fetch and check
         try {
-            const words = await this.fetchWordsFromAPI(category);
-            this.setCachedWords(category, words);
+            const words = await this.fetchWordsFromAPI(category, wordLength);
+            this.setCachedWords(category, words, wordLength);
             return words.includes(upperWord);
         } catch (error) {
             console.error(`Error validating word for category ${category}:`, error.message);
@@ -267,7 +352,7 @@ class WordService {
         const upperWord = word.toUpperCase();
         
         for (const categoryKey of Object.keys(this.categories)) {
-            const cachedWords = this.getCachedWords(categoryKey);
+            const cachedWords = this.getCachedWords(categoryKey, upperWord.length);
             if (cachedWords && cachedWords.includes(upperWord)) {
                 return categoryKey;
             }
@@ -300,7 +385,11 @@ class WordService {
      */
     clearCache(category = null) {
         if (category) {
-            this.wordCache.delete(category);
+            for (const [key, data] of this.wordCache.entries()) {
+                if (data.category === category) {
+                    this.wordCache.delete(key);
+                }
+            }
         } else {
             this.wordCache.clear();
         }
@@ -317,10 +406,11 @@ class WordService {
             cacheEntries: []
         };
 
-        for (const [category, data] of this.wordCache.entries()) {
+        for (const data of this.wordCache.values()) {
             const age = Date.now() - data.timestamp;
             stats.cacheEntries.push({
-                category,
+                category: data.category,
+                wordLength: data.wordLength,
                 wordCount: data.words.length,
                 ageMinutes: Math.round(age / (1000 * 60)),
                 isExpired: age >= this.cacheExpiry
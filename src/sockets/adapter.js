@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+import { createAdapter } from '@socket.io/mongo-adapter';
+
+/**
+ * SOCKET.IO ADAPTER
+ *
+ * The adapter decides how broadcasts (io.to(room).emit, fetchSockets,
+ * serverSideEmit) reach sockets. The default in-memory adapter only knows
+ * this process's sockets; the MongoDB adapter relays every broadcast through
+ * a collection so all instances behind the load balancer see it.
+ *
+ * Pick one with SOCKET_ADAPTER=memory|mongo (default memory).
+ * The MongoDB adapter uses change streams, so MongoDB must run as a replica
+ * set (Atlas does; locally: `mongod --replSet rs0` + `rs.initiate()`).
+ */
+
+export const SOCKET_ADAPTERS = ['memory', 'mongo'];
+
+const ADAPTER_COLLECTION = 'socket.io-adapter-events';
+const ADAPTER_EVENT_TTL_SECONDS = 60 * 60;
+
+/**
+ * Build the adapter chosen by SOCKET_ADAPTER (uses the mongoose connection)
+ * @param {string} type - 'memory' or 'mongo'
+ * @returns {Promise<Function|null>} - Adapter for io.adapter(), or null for the default
+ */
+export async function createSocketAdapter(type = process.env.SOCKET_ADAPTER || 'memory') {
+    if (!SOCKET_ADAPTERS.includes(type)) {
+        throw new Error(`SOCKET_ADAPTER must be one of: ${SOCKET_ADAPTERS.join(', ')}`);
+    }
+    if (type === 'memory') return null;
+
+    const collection = mongoose.connection.db.collection(ADAPTER_COLLECTION);
+    // Relayed events are only needed for a moment - let MongoDB expire them
+    await collection.createIndex({ createdAt: 1 }, { expireAfterSeconds: ADAPTER_EVENT_TTL_SECONDS });
+
+    return createAdapter(collection, { addCreatedAtField: true });
+}
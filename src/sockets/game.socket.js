@@ -4,6 +4,49 @@ import wordService from '../services/wordService.js';
 import Room from '../models/room.model.js';
 import Player from '../models/player.model.js';
 import Game from '../models/game.model.js';
+import statsService from '../services/statsService.js';
+import ratingService from '../services/ratingService.js';
+import matchmakingService, { MATCHMAKING_CONFIG, QUEUE_SETTING_KEYS } from '../services/matchmakingService.js';
+import lobbyService, { LOBBY_CHANNEL } from '../services/lobbyService.js';
+import { createGameStateStore } from '../services/gameStateStore.js';
+import { createRoomLock, ROOM_LOCK_CONFIG } from '../services/roomLock.js';
+import chatService, { CHAT_CONFIG } from '../services/chatService.js';
+import {
+    calculateScore,
+    isValidRankingMode,
+    sortSolvedPlayers,
+    RANKING_MODES,
+    createStanding,
+    addRoundToStanding,
+    rankStandings
+} from '../utils/scoreUtils.js';
+import { generateMatchId } from '../utils/idGenerator.js';
+import { resolveRoomSettings, validateSettingsUpdate } from '../utils/roomSettings.js';
+import { serializeGameState } from '../utils/gameStateSerializer.js';
+import { spectatorChannel, closeSpectating } from '../utils/spectatorUtils.js';
+import { checkHardModeGuess } from '../utils/hardModeUtils.js';
+import { generateWordFeedback } from '../utils/wordFeedback.js';
+import { RATING_CONFIG } from '../utils/ratingUtils.js';
+
+const MAX_ROUNDS = 10;
+const DEFAULT_INTERMISSION_SECONDS = 10;
+const MIN_INTERMISSION_SECONDS = 3;
+const MAX_INTERMISSION_SECONDS = 60;
+const DEFAULT_RECONNECT_GRACE_SECONDS = 30;
+const MATCHMAKING_TICK_MS = 2000;
+const GAME_START_COUNTDOWN_SECONDS = 3;
+const MATCH_START_COUNTDOWN_SECONDS = 5;
+const ROOM_INVITE_TTL_SECONDS = 5 * 60;
+
+/**
+ * Name of the Socket.IO channel every socket of a player joins
+ * (reaches them on whichever instance they're connected to)
+ * @param {string} playerId - Player ID
+ * @returns {string} - Channel name
+ */
+function playerChannel(playerId) {
+    return `player:${playerId}`;
+}
 
 /**
  * GAME SOCKET HANDLER - Real-time competitive Wordle game logic
@@ -18,18 +61,39 @@ import Game from '../models/game.model.js';
  * Socket Events Explained:
  * - 'join-room': Player joins a game room
  * - 'leave-room': Player leaves a game room
- * - 'start-game': Room owner starts the game
+ * - 'spectate-room': Watch a room without playing
+ * - 'queue-join' / 'queue-leave': Enter or leave the public matchmaking queue
+ * - 'lobby-subscribe' / 'lobby-unsubscribe': Live list of open public rooms
+ * - 'chat-message' / 'chat-reaction': Room chat and emoji reactions
+ * - 'invite-to-room' / 'decline-invite': Invite a friend to your room
+ * - 'update-settings': Room owner changes the room settings
+ * - 'kick-player' / 'ban-player' / 'unban-player': Room owner moderation
+ * - 'transfer-ownership': Room owner hands the room to another player
+ * - 'lock-room': Room owner stops (or allows) new players joining
+ * - 'set-ready': Player readies up (or not) in the lobby
+ * - 'start-game': Room owner starts the game once everyone is ready
  * - 'submit-word': Player submits a word guess
+ * - 'set-hard-mode': Player opts in/out of hard mode
  * - 'get-game-state': Get current game state
  * - 'get-leaderboard': Get current scores
  */
 
 class GameSocketHandler {
-    constructor(io) {
+    /**
+     * @param {Server} io - Socket.IO server
+     * @param {Object} options - { gameStateStore, roomLock } - default to the ones picked
+     *   by GAME_STATE_STORE and SOCKET_ADAPTER
+     */
+    constructor(io, { gameStateStore, roomLock } = {}) {
         this.io = io;
-        this.activeGames = new Map(); // Store active game states in memory
-        this.playerSockets = new Map(); // Map player IDs to socket IDs
+        this.activeGames = gameStateStore || createGameStateStore(); // roomId -> game state (Map-like, see gameStateStore.js)
+        this.playerSockets = new Map(); // Map player IDs to socket IDs (connected players)
         this.roomSockets = new Map(); // Map room IDs to socket IDs
+        this.pendingRemovals = new Map(); // "roomId:playerId" -> grace period timer
+        this.roomInvites = new Map(); // "roomId:playerId" -> { fromId, fromUsername, expiresAt }
+        this.matchmakingTimer = null; // Runs while anyone is queued
+        this.roomLock = roomLock || createRoomLock(); // Which instance runs each room's game
+        this.lockHeartbeat = null; // Renews our room locks and adopts orphaned games
         
         this.setupEventHandlers();
     }
@@ -42,622 +106,2116 @@ class GameSocketHandler {
         this.io.on('connection', (socket) => {
             console.log(`🔌 Player connected: ${socket.id}`);
 
-            // ===== ROOM MANAGEMENT EVENTS =====
-            
-            /**
-             * JOIN ROOM EVENT
-             * When a player wants to join a game room
-             * 
-             * Expected data: { roomId, playerId, username }
-             * Response: Success/error + updated room state
-             */
-            socket.on('join-room', async (data) => {
-                try {
-                    const { roomId, playerId, username } = data;
-                    
-                    // Validate input
-                    if (!roomId || !playerId || !username) {
-                        socket.emit('error', { message: 'Missing required data' });
+            // Track who is online (friend presence, invites)
+            this.playerSockets.set(socket.playerId, socket.id);
+            socket.join(playerChannel(socket.playerId));
+
+            // With several instances, room events go to the one running the room's game
+            socket.use((packet, next) => this.routeRoomEvent(socket, packet, next));
+
+            this.bindSocketEvents(socket);
+        });
+
+        // Events relayed from other instances (see routeRoomEvent)
+        this.io.on('room-event', (relayed) => this.handleRelayedRoomEvent(relayed));
+        this.io.on('cancel-pending-removal', ({ roomId, playerId }) => {
+            this.cancelPendingRemoval(roomId, playerId, { relay: false });
+        });
+    }
+
+    /**
+     * Register the game event handlers for a socket
+     * Also used for sockets connected to another instance (see createRemoteSocket)
+     * @param {Object} socket - Socket (or remote socket stand-in)
+     */
+    bindSocketEvents(socket) {
+        // ===== ROOM MANAGEMENT EVENTS =====
+        
+        /**
+         * JOIN ROOM EVENT
+         * When a player wants to join a game room
+         * 
+         * Expected data: { roomId, password }
+         * Player identity comes from the socket's verified JWT
+         * password is only needed for password-protected rooms
+         * Response: Success/error + updated room state
+         */
+        socket.on('join-room', async (data) => {
+            try {
+                const { roomId, password } = data;
+                const { playerId, username } = socket;
+                
+                // Validate input
+                if (!roomId) {
+                    socket.emit('error', { message: 'Missing required data' });
+                    return;
+                }
+
+                // Check if room exists (by roomId string, not MongoDB _id)
+                const room = await Room.findOne({ roomId }).select('+password').populate('players');
+                if (!room) {
+                    socket.emit('error', { message: 'Room not found' });
+                    return;
+                }
+
+                // Check if player is already in room
+                const playerExists = room.players.some(p => p._id.toString() === playerId);
+
+                // Check if room is full (returning players keep their seat)
+                const { maxPlayers } = resolveRoomSettings(room.settings);
+                if (!playerExists && room.players.length >= maxPlayers) {
+                    socket.emit('error', { message: `Room is full (maximum ${maxPlayers} players)` });
+                    return;
+                }
+
+                if (!playerExists) {
+                    if (room.bannedPlayers.some(id => id.toString() === playerId)) {
+                        socket.emit('error', { message: 'You are banned from this room' });
                         return;
                     }
 
-                    // Check if room exists (by roomId string, not MongoDB _id)
-                    const room = await Room.findOne({ roomId }).populate('players');
-                    if (!room) {
-                        socket.emit('error', { message: 'Room not found' });
+                    // A friend's invite gets past the lock and the password
+                    const invite = this.getRoomInvite(roomId, playerId);
+                    if (room.locked && !invite) {
+                        socket.emit('error', { message: 'Room is locked' });
                         return;
                     }
-
-                    // Check if room is full (max 7 players)
-                    if (room.players.length >= 7) {
-                        socket.emit('error', { message: 'Room is full (maximum 7 players)' });
+                    if (!invite && !(await room.isPasswordCorrect(password))) {
+                        socket.emit('error', { message: 'Incorrect room password' });
                         return;
                     }
 
-                    // Check if player is already in room
-                    const playerExists = room.players.some(p => p._id.toString() === playerId);
-                    if (!playerExists) {
-                        // Add player to room
-                        room.players.push(playerId);
-                        await room.save();
-                    }
+                    // Add player to room (spectators can switch to playing)
+                    room.players.push(playerId);
+                    room.spectators.pull(playerId);
+                    await room.save();
+                    this.roomInvites.delete(`${roomId}:${playerId}`);
+                    this.notifyLobby();
+                }
 
-                    // Join socket to room
-                    socket.join(roomId);
-                    
-                    // Store player socket mapping
-                    this.playerSockets.set(playerId, socket.id);
-                    
-                    // Store room socket mapping
-                    if (!this.roomSockets.has(roomId)) {
-                        this.roomSockets.set(roomId, new Set());
-                    }
-                    this.roomSockets.get(roomId).add(socket.id);
+                // Join socket to room
+                socket.join(roomId);
+                socket.leave(spectatorChannel(roomId));
+                
+                // Store player socket mapping
+                this.playerSockets.set(playerId, socket.id);
+                
+                // Store room socket mapping
+                if (!this.roomSockets.has(roomId)) {
+                    this.roomSockets.set(roomId, new Set());
+                }
+                this.roomSockets.get(roomId).add(socket.id);
 
-                    // Get updated room data
-                    const updatedRoom = await Room.findOne({ roomId })
-                        .populate('players', 'username gamesPlayed gamesWon winRate')
-                        .populate('owner', 'username');
+                // Back within the grace period - keep their seat, ownership and game progress
+                const reconnected = this.cancelPendingRemoval(roomId, playerId);
 
+                // Get updated room data
+                const updatedRoom = await Room.findOne({ roomId })
+                    .populate('players', 'username gamesPlayed gamesWon winRate')
+                    .populate('owner', 'username');
+
+                if (reconnected) {
+                    this.io.to(roomId).emit('player-reconnected', {
+                        playerId,
+                        username,
+                        room: updatedRoom,
+                        message: `${username} reconnected`
+                    });
+                } else {
                     // Notify all players in room about new player
                     this.io.to(roomId).emit('player-joined', {
                         player: { _id: playerId, username },
                         room: updatedRoom,
                         message: `${username} joined the room`
                     });
+                }
 
-                    // Send current room state to the joining player
-                    socket.emit('room-joined', {
-                        room: updatedRoom,
-                        message: 'Successfully joined room'
-                    });
+                // Send current room state to the joining player
+                socket.emit('room-joined', {
+                    room: updatedRoom,
+                    chatHistory: chatService.getHistory(roomId, playerId),
+                    reconnected,
+                    message: reconnected ? 'Reconnected to room' : 'Successfully joined room'
+                });
+
+                // Resume an in-progress game with the player's own board
+                const gameState = this.activeGames.get(roomId);
+                if (gameState && gameState.players.some(p => p.playerId === playerId)) {
+                    socket.emit('game-state', serializeGameState(gameState, playerId));
+                }
+
+                console.log(`👤 ${username} ${reconnected ? 'reconnected to' : 'joined'} room ${roomId}`);
 
-                    console.log(`👤 ${username} joined room ${roomId}`);
+            } catch (error) {
+                console.error('Join room error:', error);
+                socket.emit('error', { message: 'Failed to join room' });
+            }
+        });
+
+        /**
+         * LEAVE ROOM EVENT
+         * When a player wants to leave a game room
+         */
+        socket.on('leave-room', async (data) => {
+            try {
+                const { roomId } = data;
+                const playerId = socket.playerId;
 
-                } catch (error) {
-                    console.error('Join room error:', error);
-                    socket.emit('error', { message: 'Failed to join room' });
+                // Spectators just stop watching
+                if (socket.rooms.has(spectatorChannel(roomId))) {
+                    await this.removeSpectator(socket, roomId);
+                    return;
                 }
-            });
 
-            /**
-             * LEAVE ROOM EVENT
-             * When a player wants to leave a game room
-             */
-            socket.on('leave-room', async (data) => {
-                try {
-                    const { roomId, playerId } = data;
-                    
-                    // Get room with populated players
-                    const room = await Room.findOne({ roomId })
-                        .populate('players', 'username _id')
-                        .populate('owner', 'username _id')
-                        .lean();
-                    
-                    if (!room) {
-                        socket.emit('error', { message: 'Room not found' });
-                        return;
-                    }
+                // Leaving on purpose - no need to wait for a reconnect
+                this.cancelPendingRemoval(roomId, playerId);
+                
+                // Get room with populated players
+                const room = await Room.findOne({ roomId })
+                    .populate('players', 'username _id')
+                    .populate('owner', 'username _id')
+                    .lean();
+                
+                if (!room) {
+                    socket.emit('error', { message: 'Room not found' });
+                    return;
+                }
 
-                    const isOwner = room.owner._id.toString() === playerId;
-                    const remainingPlayers = room.players.filter(p => p._id.toString() !== playerId);
+                const isOwner = room.owner._id.toString() === playerId;
+                const remainingPlayers = room.players.filter(p => p._id.toString() !== playerId);
 
-                    // Remove player from room
-                    const roomDoc = await Room.findOne({ roomId });
-                    if (roomDoc) {
-                        roomDoc.players = roomDoc.players.filter(p => p.toString() !== playerId);
-                        
-                        // If owner left, assign new owner randomly
-                        if (isOwner && remainingPlayers.length > 0) {
-                            const newOwnerIndex = Math.floor(Math.random() * remainingPlayers.length);
-                            const newOwnerId = remainingPlayers[newOwnerIndex]._id;
-                            roomDoc.owner = newOwnerId;
-                            
-                            // Notify all players about new owner
-                            this.io.to(roomId).emit('owner-changed', {
-                                newOwnerId: newOwnerId.toString(),
-                                newOwnerUsername: remainingPlayers[newOwnerIndex].username,
-                                message: `${remainingPlayers[newOwnerIndex].username} is now the room owner`
-                            });
-                        }
+                // Remove player from room
+                const roomDoc = await Room.findOne({ roomId });
+                if (roomDoc) {
+                    roomDoc.players = roomDoc.players.filter(p => p.toString() !== playerId);
+                    roomDoc.readyPlayers.pull(playerId);
+                    
+                    // If owner left, assign new owner randomly
+                    if (isOwner && remainingPlayers.length > 0) {
+                        const newOwnerIndex = Math.floor(Math.random() * remainingPlayers.length);
+                        const newOwnerId = remainingPlayers[newOwnerIndex]._id;
+                        roomDoc.owner = newOwnerId;
                         
-                        // If room is empty, delete it and clean up game state
-                        if (roomDoc.players.length === 0) {
-                            await Room.deleteOne({ roomId });
-                            this.activeGames.delete(roomId);
-                            console.log(`🗑️ Room ${roomId} deleted - no players remaining`);
-                        } else {
-                            await roomDoc.save();
-                        }
+                        // Notify all players about new owner
+                        this.io.to(roomId).emit('owner-changed', {
+                            newOwnerId: newOwnerId.toString(),
+                            newOwnerUsername: remainingPlayers[newOwnerIndex].username,
+                            message: `${remainingPlayers[newOwnerIndex].username} is now the room owner`
+                        });
                     }
-
-                    // Leave socket room
-                    socket.leave(roomId);
                     
-                    // Remove from mappings
-                    this.playerSockets.delete(playerId);
-                    if (this.roomSockets.has(roomId)) {
-                        this.roomSockets.get(roomId).delete(socket.id);
+                    // If room is empty, delete it and clean up game state
+                    if (roomDoc.players.length === 0) {
+                        await this.deleteRoom(roomId);
+                        console.log(`🗑️ Room ${roomId} deleted - no players remaining`);
+                    } else {
+                        await roomDoc.save();
                     }
+                    this.notifyLobby();
+                }
 
-                    // If room was deleted, notify player
-                    if (remainingPlayers.length === 0) {
-                        socket.emit('room-disbanded', {
-                            message: 'Room has been disbanded'
-                        });
-                        return;
-                    }
+                // Leave socket room
+                socket.leave(roomId);
+                
+                // Remove from mappings
+                if (this.roomSockets.has(roomId)) {
+                    this.roomSockets.get(roomId).delete(socket.id);
+                }
 
-                    // Notify other players with updated room
-                    const updatedRoom = await Room.findOne({ roomId })
-                        .populate('players', 'username gamesPlayed gamesWon winRate _id')
-                        .populate('owner', 'username _id')
-                        .lean();
+                // If room was deleted, notify player
+                if (remainingPlayers.length === 0) {
+                    socket.emit('room-disbanded', {
+                        message: 'Room has been disbanded'
+                    });
+                    return;
+                }
+
+                // Notify other players with updated room
+                const updatedRoom = await Room.findOne({ roomId })
+                    .populate('players', 'username gamesPlayed gamesWon winRate _id')
+                    .populate('owner', 'username _id')
+                    .lean();
+                
+                if (updatedRoom) {
+                    this.io.to(roomId).emit('player-left', {
+                        playerId,
+                        room: updatedRoom,
+                        isOwner: isOwner,
+                        message: 'Player left the room'
+                    });
                     
-                    if (updatedRoom) {
-                        this.io.to(roomId).emit('player-left', {
-                            playerId,
-                            room: updatedRoom,
-                            isOwner: isOwner,
-                            message: 'Player left the room'
-                        });
-                        
-                        console.log(`📢 Notified players in room ${roomId} about player leaving. Remaining: ${updatedRoom.players.length}`);
-                    }
+                    console.log(`📢 Notified players in room ${roomId} about player leaving. Remaining: ${updatedRoom.players.length}`);
+                }
+
+                console.log(`👋 Player left room ${roomId}`);
 
-                    console.log(`👋 Player left room ${roomId}`);
+            } catch (error) {
+                console.error('Leave room error:', error);
+                socket.emit('error', { message: 'Failed to leave room' });
+            }
+        });
+
+        /**
+         * SPECTATE ROOM EVENT
+         * Watch a room without taking a seat
+         * Spectators get timer and leaderboard events and colour-only boards,
+         * but can't submit words and don't count toward capacity
+         * 
+         * Expected data: { roomId, password }
+         */
+        socket.on('spectate-room', async (data) => {
+            try {
+                const { roomId, password } = data;
+                const { playerId, username } = socket;
 
-                } catch (error) {
-                    console.error('Leave room error:', error);
-                    socket.emit('error', { message: 'Failed to leave room' });
+                if (!roomId) {
+                    socket.emit('error', { message: 'Missing required data' });
+                    return;
                 }
-            });
 
-            // ===== GAME MANAGEMENT EVENTS =====
-
-            /**
-             * START GAME EVENT
-             * Only room owner can start the game
-             * Single round competitive Wordle
-             * 
-             * Expected data: { roomId, playerId, category }
-             */
-            socket.on('start-game', async (data) => {
-                try {
-                    const { roomId, playerId, category = 'random' } = data;
-                    
-                    // Verify room ownership - populate players to get usernames
-                    const room = await Room.findOne({ roomId })
-                        .populate('owner', 'username')
-                        .populate('players', 'username _id')
-                        .lean(); // Use lean() to get plain objects
-                    
-                    // With lean(), owner is a plain object
-                    const ownerId = room?.owner?._id ? room.owner._id.toString() : room?.owner?.toString();
-                    if (!room || ownerId !== playerId) {
-                        socket.emit('error', { message: 'Only room owner can start the game' });
-                        return;
-                    }
+                const room = await Room.findOne({ roomId }).select('+password');
+                if (!room) {
+                    socket.emit('error', { message: 'Room not found' });
+                    return;
+                }
 
-                    // Check minimum players (at least 2)
-                    if (room.players.length < 2) {
-                        socket.emit('error', { message: 'Need at least 2 players to start' });
-                        return;
-                    }
+                if (!resolveRoomSettings(room.settings).allowSpectators) {
+                    socket.emit('error', { message: 'Spectating is disabled in this room' });
+                    return;
+                }
 
-                    // Generate single word for the game
-                    const wordObj = await wordService.getRandomWord();
-                    const targetWord = wordObj.word;
-                    
-                    // Debug: Log room players to verify usernames are populated
-                    console.log('Room players:', room.players.map(p => ({
-                        _id: p._id,
-                        username: p.username
-                    })));
-                    
-                    // Create game state for single round
-                    const gameState = {
-                        roomId,
-                        category: wordObj.category,
-                        targetWord: targetWord,
-                        gameStatus: 'active', // 'waiting', 'active', 'finished'
-                        gameStartTime: Date.now(),
-                        timeLimit: 300000, // 5 minutes
-                        players: room.players.map(p => {
-                            // With lean(), p should be a plain object
-                            const playerIdStr = p._id ? p._id.toString() : p.toString();
-                            // Username should be directly accessible with lean()
-                            const username = p.username || 'Unknown';
-                            
-                            if (!username || username === 'Unknown') {
-                                console.log(`⚠️ Warning: Username is Unknown for player ${playerIdStr}`, p);
-                            }
-                            
-                            return {
-                                playerId: playerIdStr,
-                                username: username,
-                                guesses: [],
-                                currentGuess: '',
-                                isSolved: false,
-                                solveTime: null,
-                                solveAttempts: null,
-                                rank: null,
-                                status: 'active' // 'active', 'solved', 'failed'
-                            };
-                        }),
-                        leaderboard: []
-                    };
-
-                    // Store game state
-                    this.activeGames.set(roomId, gameState);
-
-                    // Notify all players that game started
-                    this.io.to(roomId).emit('game-started', {
-                        gameState: {
-                            roomId: gameState.roomId,
-                            category: gameState.category,
-                            gameStatus: gameState.gameStatus,
-                            gameStartTime: gameState.gameStartTime,
-                            timeLimit: gameState.timeLimit,
-                            players: gameState.players.map(p => ({
-                                playerId: p.playerId,
-                                username: p.username,
-                                isSolved: p.isSolved,
-                                status: p.status || 'active'
-                            }))
-                        },
-                        message: `Game started! Find the word!`
-                    });
+                if (room.players.some(p => p.toString() === playerId)) {
+                    socket.emit('error', { message: 'You are already playing in this room' });
+                    return;
+                }
+
+                if (room.bannedPlayers.some(id => id.toString() === playerId)) {
+                    socket.emit('error', { message: 'You are banned from this room' });
+                    return;
+                }
+
+                if (!(await room.isPasswordCorrect(password))) {
+                    socket.emit('error', { message: 'Incorrect room password' });
+                    return;
+                }
+
+                room.spectators.addToSet(playerId);
+                await room.save();
+
+                // Room channel for timer/leaderboard events, spectator channel for boards
+                socket.join(roomId);
+                socket.join(spectatorChannel(roomId));
+
+                const updatedRoom = await Room.findOne({ roomId })
+                    .populate('players', 'username gamesPlayed gamesWon winRate')
+                    .populate('spectators', 'username')
+                    .populate('owner', 'username');
 
-                    // Start game timer
-                    this.startGameTimer(roomId);
+                this.io.to(roomId).emit('spectator-joined', {
+                    spectator: { _id: playerId, username },
+                    room: updatedRoom,
+                    message: `${username} is spectating`
+                });
+
+                const gameState = this.activeGames.get(roomId);
+                socket.emit('room-spectating', {
+                    room: updatedRoom,
+                    gameState: gameState ? serializeGameState(gameState, playerId) : null,
+                    chatHistory: chatService.getHistory(roomId, playerId),
+                    message: 'Now spectating'
+                });
+
+                console.log(`👀 ${username} is spectating room ${roomId}`);
+
+            } catch (error) {
+                console.error('Spectate room error:', error);
+                socket.emit('error', { message: 'Failed to spectate room' });
+            }
+        });
 
-                    console.log(`🎮 Game started in room ${roomId} - Word: ${targetWord}`);
+        // ===== MATCHMAKING EVENTS =====
+
+        /**
+         * QUEUE JOIN EVENT
+         * Put the player in the public matchmaking pool
+         * Players are grouped by category/settings and a rating band that widens
+         * over time, then moved into a new room that starts after a countdown
+         * 
+         * Expected data: { category, settings: { wordLength, maxAttempts, timeLimit, scoringMode, hardMode } }
+         * All filters are optional - leave them out to match anyone
+         */
+        socket.on('queue-join', async (data = {}) => {
+            try {
+                const { playerId, username } = socket;
+                const category = data.category && data.category !== 'random' ? data.category : null;
+                const settings = data.settings || {};
 
-                } catch (error) {
-                    console.error('Start game error:', error);
-                    socket.emit('error', { message: 'Failed to start game' });
+                if (category && !wordService.hasCategory(category)) {
+                    socket.emit('error', { message: this.unknownCategoryMessage(category) });
+                    return;
                 }
-            });
 
-            /**
-             * START AGAIN EVENT
-             * Owner can restart the game in the same room
-             * Expected data: { roomId, playerId, category }
-             */
-            socket.on('start-again', async (data) => {
-                try {
-                    const { roomId, playerId } = data;
-                    
-                    // Verify room ownership - populate players to get usernames
-                    const room = await Room.findOne({ roomId })
-                        .populate('owner', 'username _id')
-                        .populate('players', 'username _id')
-                        .lean();
-                    
-                    const ownerId = room?.owner?._id ? room.owner._id.toString() : room?.owner?.toString();
-                    if (!room || ownerId !== playerId) {
-                        socket.emit('error', { message: 'Only room owner can start a new game' });
+                const unsupported = Object.keys(settings).find(key => !QUEUE_SETTING_KEYS.includes(key));
+                if (unsupported) {
+                    socket.emit('error', { message: `Can't filter matchmaking by '${unsupported}'. Allowed: ${QUEUE_SETTING_KEYS.join(', ')}` });
+                    return;
+                }
+                if (Object.keys(settings).length > 0) {
+                    const { error } = validateSettingsUpdate(settings);
+                    if (error) {
+                        socket.emit('error', { message: error });
                         return;
                     }
+                }
 
-                    // Check minimum players (at least 2)
-                    if (room.players.length < 2) {
-                        socket.emit('error', { message: 'Need at least 2 players to start' });
-                        return;
-                    }
+                // A match seats the player in a new room, so they can't already have one
+                if (await Room.exists({ players: playerId })) {
+                    socket.emit('error', { message: 'Leave your current room before joining matchmaking' });
+                    return;
+                }
 
-                    // Clear previous game state
-                    this.activeGames.delete(roomId);
+                const player = await Player.findById(playerId).select('rating').lean();
+                const entry = matchmakingService.join({
+                    playerId,
+                    username,
+                    socketId: socket.id,
+                    rating: player?.rating ?? RATING_CONFIG.initialRating,
+                    category,
+                    settings
+                });
 
-                    // Generate new word for the game
-                    const wordObj = await wordService.getRandomWord();
-                    const targetWord = wordObj.word;
-                    
-                    // Create new game state
-                    const gameState = {
-                        roomId,
-                        category: wordObj.category,
-                        targetWord: targetWord,
-                        gameStatus: 'active',
-                        gameStartTime: Date.now(),
-                        timeLimit: 300000, // 5 minutes
-                        players: room.players.map(p => {
-                            const playerIdStr = p._id ? p._id.toString() : p.toString();
-                            const username = p.username || 'Unknown';
-                            
-                            return {
-                                playerId: playerIdStr,
-                                username: username,
-                                guesses: [],
-                                currentGuess: '',
-                                isSolved: false,
-                                solveTime: null,
-                                solveAttempts: null,
-                                rank: null,
-                                status: 'active'
-                            };
-                        }),
-                        leaderboard: []
-                    };
-
-                    // Store new game state
-                    this.activeGames.set(roomId, gameState);
-
-                    // Notify all players that new game started
-                    this.io.to(roomId).emit('game-started', {
-                        gameState: {
-                            roomId: gameState.roomId,
-                            category: gameState.category,
-                            gameStatus: gameState.gameStatus,
-                            gameStartTime: gameState.gameStartTime,
-                            timeLimit: gameState.timeLimit,
-                            players: gameState.players.map(p => ({
-                                playerId: p.playerId,
-                                username: p.username,
-                                isSolved: p.isSolved,
-                                status: p.status || 'active'
-                            }))
-                        },
-                        message: `New game started! Find the word!`
+                socket.emit('queue-joined', {
+                    category: category || 'random',
+                    settings,
+                    rating: entry.rating,
+                    ratingBand: matchmakingService.getRatingBand(entry),
+                    queueSize: matchmakingService.size,
+                    timeout: MATCHMAKING_CONFIG.queueTimeoutMs,
+                    message: 'Looking for a match...'
+                });
+
+                console.log(`🔎 ${username} joined the matchmaking queue (${matchmakingService.size} waiting)`);
+
+                this.startMatchmakingTimer();
+                this.runMatchmaking();
+
+            } catch (error) {
+                console.error('Queue join error:', error);
+                socket.emit('error', { message: 'Failed to join matchmaking queue' });
+            }
+        });
+
+        /**
+         * QUEUE LEAVE EVENT
+         * Cancel matchmaking
+         */
+        socket.on('queue-leave', () => {
+            if (!matchmakingService.leave(socket.playerId)) {
+                socket.emit('error', { message: 'You are not in the matchmaking queue' });
+                return;
+            }
+
+            socket.emit('queue-left', {
+                reason: 'cancelled',
+                message: 'Left the matchmaking queue'
+            });
+        });
+
+        // ===== CHAT EVENTS =====
+
+        /**
+         * CHAT MESSAGE EVENT
+         * Players and spectators talk to everyone in the room
+         * Blocked words are masked; during a round, messages containing the
+         * target word or anyone's guess are only shown to the sender.
+         * The sender can't tell them apart from delivered messages, so chat
+         * can't be used to probe for the answer
+         * Expected data: { roomId, text }
+         */
+        socket.on('chat-message', (data) => {
+            try {
+                const { roomId } = data;
+                const { playerId, username } = socket;
+                const text = typeof data.text === 'string' ? data.text.trim() : '';
+
+                if (!socket.rooms.has(roomId)) {
+                    socket.emit('error', { message: 'You are not in this room' });
+                    return;
+                }
+
+                if (!text || text.length > CHAT_CONFIG.maxMessageLength) {
+                    socket.emit('error', { message: `Messages must be 1-${CHAT_CONFIG.maxMessageLength} characters` });
+                    return;
+                }
+
+                const retryAfterMs = chatService.checkRateLimit(socket.id);
+                if (retryAfterMs > 0) {
+                    socket.emit('chat-rejected', {
+                        reason: 'rate-limit',
+                        retryAfterMs,
+                        message: 'You are sending messages too quickly'
                     });
+                    return;
+                }
+
+                const outgoing = {
+                    playerId,
+                    username,
+                    text: chatService.filterText(text),
+                    spectator: socket.rooms.has(spectatorChannel(roomId))
+                };
+
+                const gameState = this.activeGames.get(roomId);
+                const senderOnly = gameState?.gameStatus === 'active' && !!chatService.findLeakedWord(text, [
+                    gameState.targetWord,
+                    ...gameState.players.flatMap(p => p.guesses || [])
+                ]);
+
+                const message = chatService.toClient(chatService.addMessage(roomId, outgoing, { senderOnly }));
+
+                if (senderOnly) {
+                    this.emitToPlayer(playerId, 'chat-message', message);
+                } else {
+                    this.io.to(roomId).emit('chat-message', message);
+                }
+
+            } catch (error) {
+                console.error('Chat message error:', error);
+                socket.emit('error', { message: 'Failed to send message' });
+            }
+        });
+
+        /**
+         * CHAT REACTION EVENT
+         * Toggle an emoji reaction on a recent message
+         * Expected data: { roomId, messageId, emoji }
+         */
+        socket.on('chat-reaction', (data) => {
+            try {
+                const { roomId, messageId, emoji } = data;
+
+                if (!socket.rooms.has(roomId)) {
+                    socket.emit('error', { message: 'You are not in this room' });
+                    return;
+                }
+
+                if (!CHAT_CONFIG.reactions.includes(emoji)) {
+                    socket.emit('error', { message: `Reaction must be one of: ${CHAT_CONFIG.reactions.join(' ')}` });
+                    return;
+                }
+
+                const message = chatService.toggleReaction(roomId, messageId, emoji, socket.playerId);
+                if (!message) {
+                    socket.emit('error', { message: 'Message not found' });
+                    return;
+                }
+
+                const update = { roomId, messageId, reactions: message.reactions };
+                if (message.visibleTo) {
+                    this.emitToPlayer(message.visibleTo, 'chat-reaction-updated', update);
+                } else {
+                    this.io.to(roomId).emit('chat-reaction-updated', update);
+                }
+
+            } catch (error) {
+                console.error('Chat reaction error:', error);
+                socket.emit('error', { message: 'Failed to react to message' });
+            }
+        });
+
+        // ===== FRIEND INVITE EVENTS =====
 
-                    // Start game timer
-                    this.startGameTimer(roomId);
+        /**
+         * INVITE TO ROOM EVENT
+         * Player invites an online friend to the room they're playing in
+         * The friend accepts by sending 'join-room' with the roomId
+         * (no password needed, works while the room is locked)
+         * Expected data: { roomId, playerId }
+         */
+        socket.on('invite-to-room', async (data) => {
+            try {
+                const { roomId, playerId: friendId } = data;
+                const { playerId, username } = socket;
+
+                const room = await Room.findOne({ roomId });
+                if (!room || !room.players.some(p => p.toString() === playerId)) {
+                    socket.emit('error', { message: 'You are not in this room' });
+                    return;
+                }
 
-                    console.log(`🎮 New game started in room ${roomId} - Word: ${targetWord}`);
+                if (!mongoose.Types.ObjectId.isValid(friendId) ||
+                    !(await Player.exists({ _id: playerId, friends: friendId }))) {
+                    socket.emit('error', { message: 'You can only invite friends' });
+                    return;
+                }
 
-                } catch (error) {
-                    console.error('Start again error:', error);
-                    socket.emit('error', { message: 'Failed to start new game' });
+                if (room.players.some(p => p.toString() === friendId)) {
+                    socket.emit('error', { message: 'Your friend is already in this room' });
+                    return;
                 }
+                if (room.bannedPlayers.some(id => id.toString() === friendId)) {
+                    socket.emit('error', { message: 'Your friend is banned from this room' });
+                    return;
+                }
+                if ((await this.getPresence(friendId)) === 'offline') {
+                    socket.emit('error', { message: 'Your friend is offline' });
+                    return;
+                }
+
+                const expiresAt = Date.now() + ROOM_INVITE_TTL_SECONDS * 1000;
+                this.roomInvites.set(`${roomId}:${friendId}`, { fromId: playerId, fromUsername: username, expiresAt });
+
+                this.emitToPlayer(friendId, 'room-invite', {
+                    roomId,
+                    from: { playerId, username },
+                    expiresAt,
+                    message: `${username} invited you to their room`
+                });
+                socket.emit('invite-sent', { roomId, playerId: friendId, expiresAt });
+
+                console.log(`✉️ ${username} invited ${friendId} to room ${roomId}`);
+
+            } catch (error) {
+                console.error('Invite to room error:', error);
+                socket.emit('error', { message: 'Failed to send invite' });
+            }
+        });
+
+        /**
+         * DECLINE INVITE EVENT
+         * Turn down a room invite (the inviter is told)
+         * Expected data: { roomId }
+         */
+        socket.on('decline-invite', (data = {}) => {
+            const { roomId } = data;
+            const invite = this.getRoomInvite(roomId, socket.playerId);
+            if (!invite) {
+                socket.emit('error', { message: 'Invite not found or expired' });
+                return;
+            }
+
+            this.roomInvites.delete(`${roomId}:${socket.playerId}`);
+            this.emitToPlayer(invite.fromId, 'invite-declined', {
+                roomId,
+                playerId: socket.playerId,
+                username: socket.username,
+                message: `${socket.username} declined your invite`
             });
+        });
 
-            /**
-             * SUBMIT WORD EVENT
-             * When a player submits a word guess
-             * 
-             * Expected data: { roomId, playerId, word }
-             */
-            socket.on('submit-word', async (data) => {
-                try {
-                    const { roomId, playerId, word } = data;
-                    
-                    // Get current game state
-                    const gameState = this.activeGames.get(roomId);
-                    if (!gameState || gameState.gameStatus !== 'active') {
-                        socket.emit('error', { message: 'No active game in this room' });
-                        return;
-                    }
+        // ===== OWNER MODERATION EVENTS =====
+
+        /**
+         * KICK PLAYER EVENT
+         * Room owner removes a player or spectator (they may rejoin)
+         * Expected data: { roomId, playerId }
+         */
+        socket.on('kick-player', (data) => this.removeFromRoomByOwner(socket, data, { ban: false }));
+
+        /**
+         * BAN PLAYER EVENT
+         * Room owner removes a player or spectator and stops them coming back
+         * Expected data: { roomId, playerId }
+         */
+        socket.on('ban-player', (data) => this.removeFromRoomByOwner(socket, data, { ban: true }));
+
+        /**
+         * UNBAN PLAYER EVENT
+         * Room owner lifts a ban
+         * Expected data: { roomId, playerId }
+         */
+        socket.on('unban-player', async (data) => {
+            try {
+                const { roomId, playerId: targetId } = data;
+                const room = await this.findOwnedRoom(socket, roomId, 'unban players');
+                if (!room) return;
+
+                if (!room.bannedPlayers.some(id => id.toString() === targetId)) {
+                    socket.emit('error', { message: 'Player is not banned from this room' });
+                    return;
+                }
+
+                room.bannedPlayers.pull(targetId);
+                await room.save();
+
+                this.io.to(roomId).emit('player-unbanned', {
+                    playerId: targetId,
+                    message: 'A player was unbanned'
+                });
+
+            } catch (error) {
+                console.error('Unban player error:', error);
+                socket.emit('error', { message: 'Failed to unban player' });
+            }
+        });
+
+        /**
+         * TRANSFER OWNERSHIP EVENT
+         * Room owner hands the room to another player in it
+         * Expected data: { roomId, playerId }
+         */
+        socket.on('transfer-ownership', async (data) => {
+            try {
+                const { roomId, playerId: targetId } = data;
+                const room = await this.findOwnedRoom(socket, roomId, 'transfer ownership');
+                if (!room) return;
+
+                if (targetId === socket.playerId) {
+                    socket.emit('error', { message: 'You already own this room' });
+                    return;
+                }
+                if (!room.players.some(p => p.toString() === targetId)) {
+                    socket.emit('error', { message: 'New owner must be a player in this room' });
+                    return;
+                }
+
+                room.owner = targetId;
+                await room.save();
+
+                const newOwner = await Player.findById(targetId).select('username').lean();
+                this.io.to(roomId).emit('owner-changed', {
+                    newOwnerId: targetId,
+                    newOwnerUsername: newOwner?.username,
+                    previousOwnerId: socket.playerId,
+                    message: `${socket.username} made ${newOwner?.username} the room owner`
+                });
+
+                console.log(`👑 ${socket.username} transferred room ${roomId} to ${newOwner?.username}`);
+
+            } catch (error) {
+                console.error('Transfer ownership error:', error);
+                socket.emit('error', { message: 'Failed to transfer ownership' });
+            }
+        });
+
+        /**
+         * LOCK ROOM EVENT
+         * Room owner stops new players joining (players already in can still reconnect)
+         * Expected data: { roomId, locked }
+         */
+        socket.on('lock-room', async (data) => {
+            try {
+                const { roomId, locked } = data;
+                if (typeof locked !== 'boolean') {
+                    socket.emit('error', { message: 'locked must be true or false' });
+                    return;
+                }
+
+                const room = await this.findOwnedRoom(socket, roomId, 'lock the room');
+                if (!room) return;
+
+                room.locked = locked;
+                await room.save();
+
+                this.io.to(roomId).emit('room-locked', {
+                    locked,
+                    message: locked ? 'Room is locked - no new players can join' : 'Room is unlocked'
+                });
+                this.notifyLobby();
+
+            } catch (error) {
+                console.error('Lock room error:', error);
+                socket.emit('error', { message: 'Failed to lock room' });
+            }
+        });
+
+        // ===== LOBBY EVENTS =====
+
+        /**
+         * LOBBY SUBSCRIBE EVENT
+         * Send the open public rooms now and push 'lobby-list' whenever they change
+         */
+        socket.on('lobby-subscribe', async () => {
+            try {
+                socket.join(LOBBY_CHANNEL);
+                const { rooms, total } = await lobbyService.listPublicRooms();
+                socket.emit('lobby-list', { rooms, total });
+            } catch (error) {
+                console.error('Lobby subscribe error:', error);
+                socket.emit('error', { message: 'Failed to load rooms' });
+            }
+        });
+
+        /**
+         * LOBBY UNSUBSCRIBE EVENT
+         * Stop receiving lobby-list pushes
+         */
+        socket.on('lobby-unsubscribe', () => {
+            socket.leave(LOBBY_CHANNEL);
+        });
+
+        // ===== GAME MANAGEMENT EVENTS =====
+
+        /**
+         * UPDATE SETTINGS EVENT
+         * Room owner changes word length, attempts, time limit, capacity, scoring mode
+         * or whether spectators are allowed
+         * Game settings apply from the next game; turning spectating off removes current spectators
+         * Expected data: { roomId, settings: { wordLength, maxAttempts, timeLimit, maxPlayers, scoringMode, allowSpectators } }
+         */
+        socket.on('update-settings', async (data) => {
+            try {
+                const { roomId, settings } = data;
+                const playerId = socket.playerId;
+
+                const room = await Room.findOne({ roomId });
+                if (!room || room.owner?.toString() !== playerId) {
+                    socket.emit('error', { message: 'Only room owner can change settings' });
+                    return;
+                }
+
+                const { error, updates } = validateSettingsUpdate(settings, room.players.length);
+                if (error) {
+                    socket.emit('error', { message: error });
+                    return;
+                }
+
+                room.settings = { ...resolveRoomSettings(room.settings), ...updates };
+                if (updates.allowSpectators === false) {
+                    room.spectators = [];
+                }
+                await room.save();
+
+                const populatedRoom = await Room.findById(room._id)
+                    .populate('players', 'username gamesPlayed gamesWon winRate')
+                    .populate('spectators', 'username')
+                    .populate('owner', 'username');
+
+                if (updates.allowSpectators === false) {
+                    closeSpectating(this.io, roomId);
+                }
+
+                this.io.to(roomId).emit('settings-updated', {
+                    settings: populatedRoom.settings,
+                    room: populatedRoom,
+                    message: 'Room settings updated'
+                });
+                this.notifyLobby();
+
+                console.log(`⚙️ Settings updated in room ${roomId}:`, updates);
+
+            } catch (error) {
+                console.error('Update settings error:', error);
+                socket.emit('error', { message: 'Failed to update settings' });
+            }
+        });
+
+        /**
+         * SET READY EVENT
+         * Player readies up (or un-readies) for the next game
+         * Expected data: { roomId, ready }
+         */
+        socket.on('set-ready', async (data) => {
+            try {
+                const { roomId, ready } = data;
+                const { playerId, username } = socket;
+
+                if (typeof ready !== 'boolean') {
+                    socket.emit('error', { message: 'ready must be true or false' });
+                    return;
+                }
+
+                const gameState = this.activeGames.get(roomId);
+                if (gameState && gameState.gameStatus !== 'finished') {
+                    socket.emit('error', { message: 'Game already in progress' });
+                    return;
+                }
+
+                const room = await Room.findOne({ roomId });
+                if (!room || !room.players.some(p => p.toString() === playerId)) {
+                    socket.emit('error', { message: 'You are not in this room' });
+                    return;
+                }
+
+                if (ready) {
+                    room.readyPlayers.addToSet(playerId);
+                } else {
+                    room.readyPlayers.pull(playerId);
+                }
+                await room.save();
+
+                this.io.to(roomId).emit('ready-updated', {
+                    playerId,
+                    username,
+                    ready,
+                    readyPlayers: room.readyPlayers.map(id => id.toString()),
+                    allReady: this.getUnreadyPlayers(room, room.owner.toString()).length === 0,
+                    message: `${username} is ${ready ? 'ready' : 'not ready'}`
+                });
+
+            } catch (error) {
+                console.error('Set ready error:', error);
+                socket.emit('error', { message: 'Failed to update ready state' });
+            }
+        });
+
+        /**
+         * START GAME EVENT
+         * Only room owner can start the game
+         * Starts a match of one or more rounds, each with a new word,
+         * after a short countdown
+         * 
+         * Expected data: { roomId, category, rankingMode, rounds, intermissionSeconds, force }
+         * rankingMode: 'fastest' or 'points' (defaults to the room's scoringMode)
+         * rounds: 1-10 (default 1)
+         * intermissionSeconds: countdown between rounds, 3-60 (default 10)
+         * force: start even if some players aren't ready (default false)
+         */
+        socket.on('start-game', async (data) => {
+            try {
+                const { roomId, force = false } = data;
+                const playerId = socket.playerId;
+                
+                // Verify room ownership - populate players to get usernames
+                const room = await Room.findOne({ roomId })
+                    .populate('owner', 'username')
+                    .populate('players', 'username _id')
+                    .lean(); // Use lean() to get plain objects
+                
+                // With lean(), owner is a plain object
+                const ownerId = room?.owner?._id ? room.owner._id.toString() : room?.owner?.toString();
+                if (!room || ownerId !== playerId) {
+                    socket.emit('error', { message: 'Only room owner can start the game' });
+                    return;
+                }
+
+                const settings = resolveRoomSettings(room.settings);
+                const options = {
+                    category: data.category || 'random',
+                    rankingMode: data.rankingMode || settings.scoringMode,
+                    rounds: data.rounds ?? 1,
+                    intermissionSeconds: data.intermissionSeconds ?? DEFAULT_INTERMISSION_SECONDS
+                };
+
+                // Check minimum players (at least 2)
+                if (room.players.length < 2) {
+                    socket.emit('error', { message: 'Need at least 2 players to start' });
+                    return;
+                }
+
+                const currentGame = this.activeGames.get(roomId);
+                if (currentGame && currentGame.gameStatus !== 'finished') {
+                    socket.emit('error', { message: 'Game already in progress' });
+                    return;
+                }
+
+                // Everyone but the owner has to ready up, unless the owner forces the start
+                if (!force && !this.checkPlayersReady(socket, room, ownerId)) return;
+
+                // Reject unknown categories, modes and round counts before picking a word
+                const optionsError = this.validateMatchOptions(options);
+                if (optionsError) {
+                    socket.emit('error', { message: optionsError });
+                    return;
+                }
+
+                await this.startMatch(room, options);
+
+            } catch (error) {
+                console.error('Start game error:', error);
+                socket.emit('error', { message: 'Failed to start game' });
+            }
+        });
+
+        /**
+         * START AGAIN EVENT
+         * Owner can start a new match in the same room
+         * Options default to the ones used by the previous match
+         * Expected data: { roomId, category, rankingMode, rounds, intermissionSeconds, force }
+         */
+        socket.on('start-again', async (data) => {
+            try {
+                const { roomId, force = false } = data;
+                const playerId = socket.playerId;
+                
+                // Verify room ownership - populate players to get usernames
+                const room = await Room.findOne({ roomId })
+                    .populate('owner', 'username _id')
+                    .populate('players', 'username _id')
+                    .lean();
+                
+                const ownerId = room?.owner?._id ? room.owner._id.toString() : room?.owner?.toString();
+                if (!room || ownerId !== playerId) {
+                    socket.emit('error', { message: 'Only room owner can start a new game' });
+                    return;
+                }
+
+                // Only a finished match may be replaced - never a live round or intermission
+                const previousGame = this.activeGames.get(roomId);
+                if (previousGame && previousGame.gameStatus !== 'finished') {
+                    socket.emit('error', { message: 'Game already in progress' });
+                    return;
+                }
+
+                // Default to the options of the previous match in this room
+                const settings = resolveRoomSettings(room.settings);
+                const options = {
+                    category: data.category || previousGame?.categoryKey || 'random',
+                    rankingMode: data.rankingMode || previousGame?.rankingMode || settings.scoringMode,
+                    rounds: data.rounds ?? previousGame?.totalRounds ?? 1,
+                    intermissionSeconds: data.intermissionSeconds ??
+                        (previousGame ? previousGame.intermissionTime / 1000 : DEFAULT_INTERMISSION_SECONDS)
+                };
+
+                // Check minimum players (at least 2)
+                if (room.players.length < 2) {
+                    socket.emit('error', { message: 'Need at least 2 players to start' });
+                    return;
+                }
+
+                if (!force && !this.checkPlayersReady(socket, room, ownerId)) return;
+
+                // Reject bad options before touching the previous match
+                const optionsError = this.validateMatchOptions(options);
+                if (optionsError) {
+                    socket.emit('error', { message: optionsError });
+                    return;
+                }
+
+                // Clear previous game state
+                this.removeGame(roomId);
+
+                await this.startMatch(room, options);
+
+            } catch (error) {
+                console.error('Start again error:', error);
+                socket.emit('error', { message: 'Failed to start new game' });
+            }
+        });
+
+        /**
+         * SUBMIT WORD EVENT
+         * When a player submits a word guess
+         * 
+         * Expected data: { roomId, word }
+         */
+        socket.on('submit-word', async (data) => {
+            try {
+                const { roomId, word } = data;
+                const playerId = socket.playerId;
+                
+                // Get current game state
+                const gameState = this.activeGames.get(roomId);
+                if (!gameState || gameState.gameStatus !== 'active') {
+                    socket.emit('error', { message: 'No active game in this room' });
+                    return;
+                }
+
+                // Find player in game
+                const player = gameState.players.find(p => p.playerId === playerId);
+                if (!player) {
+                    const message = socket.rooms.has(spectatorChannel(roomId))
+                        ? 'Spectators cannot submit words'
+                        : 'Player not in this game';
+                    socket.emit('error', { message });
+                    return;
+                }
+
+                // Check if player already solved
+                if (player.isSolved) {
+                    socket.emit('error', { message: 'You already solved the word!' });
+                    return;
+                }
+
+                // Validate word length (from the room settings)
+                const { wordLength, maxAttempts } = gameState;
+                if (!word || word.length !== wordLength) {
+                    socket.emit('error', { message: `Word must be exactly ${wordLength} letters` });
+                    return;
+                }
+
+                const upperWord = word.toUpperCase();
+
+                // Check if player used all attempts
+                if (player.guesses.length >= maxAttempts) {
+                    socket.emit('error', { message: `You have used all ${maxAttempts} attempts` });
+                    return;
+                }
+
+                // Reject words that aren't in the dictionary (doesn't use an attempt)
+                if (!wordService.isValidGuess(upperWord)) {
+                    socket.emit('invalid-word', {
+                        word: upperWord,
+                        reason: 'not-in-word-list',
+                        attempts: player.guesses.length,
+                        remainingAttempts: maxAttempts - player.guesses.length,
+                        message: `${upperWord} is not in the word list`
+                    });
+                    return;
+                }
+
+                // Hard mode: revealed hints must be used (doesn't use an attempt)
+                if (player.hardMode) {
+                    const violation = checkHardModeGuess(upperWord, player.guessHistory);
+                    if (violation) {
+                        socket.emit('invalid-word', {
+                            word: upperWord,
+                            reason: 'hard-mode',
+                            attempts: player.guesses.length,
+                            remainingAttempts: maxAttempts - player.guesses.length,
+                            message: `Hard mode: ${violation}`
+                        });
+                        return;
+                    }
+                }
+
+                // Generate feedback (Wordle style)
+                const feedback = this.generateWordFeedback(upperWord, gameState.targetWord);
+
+                // Add guess to player's guesses
+                player.guesses.push(upperWord);
+                player.guessHistory.push({ word: upperWord, feedback, timestamp: Date.now() });
+                player.currentGuess = upperWord;
+
+                // Opponents and spectators watch the colours fill in, never the letters
+                socket.to(roomId).emit('opponent-feedback', {
+                    playerId,
+                    username: player.username,
+                    attempt: player.guesses.length,
+                    feedback
+                });
+
+                // Check if word is correct
+                const isCorrect = upperWord === gameState.targetWord;
+                
+                if (isCorrect) {
+                    // Player solved the word!
+                    player.isSolved = true;
+                    player.solveTime = Date.now() - gameState.gameStartTime;
+                    player.solveAttempts = player.guesses.length;
+                    player.status = 'solved';
+                    player.score = this.calculateScore(
+                        player.solveAttempts,
+                        gameState.timeLimit - player.solveTime,
+                        gameState.players.filter(p => p.isSolved).length
+                    );
+
+                    // Notify all players about the solve
+                    this.io.to(roomId).emit('word-solved', {
+                        playerId,
+                        username: player.username,
+                        solveTime: player.solveTime,
+                        solveAttempts: player.solveAttempts,
+                        score: player.score,
+                        hardMode: player.hardMode || false,
+                        message: `${player.username} solved the word in ${player.solveAttempts} attempts${player.hardMode ? ' on hard mode' : ''}!`
+                    });
+
+                    // Update leaderboard and check if game should end
+                    this.updateLeaderboard(roomId);
+                    this.checkGameCompletion(roomId);
+
+                } else {
+                    // Check if player exhausted all attempts
+                    if (player.guesses.length >= maxAttempts) {
+                        // Player failed - exhausted all attempts
+                        player.isSolved = false;
+                        player.status = 'failed';
+                        // Track time when they failed (when they submitted their last guess)
+                        player.solveTime = Date.now() - gameState.gameStartTime;
+                        player.solveAttempts = maxAttempts;
+                        player.failedTime = Date.now() - gameState.gameStartTime;
+
+                        // Notify all players
+                        this.io.to(roomId).emit('player-failed', {
+                            playerId,
+                            username: player.username,
+                            attempts: maxAttempts,
+                            failedTime: player.failedTime,
+                            message: `${player.username} used all ${maxAttempts} attempts`
+                        });
+
+                        // Update leaderboard and check if game should end
+                        this.updateLeaderboard(roomId);
+                        this.checkGameCompletion(roomId);
+                    } else {
+                        // Player still has attempts left
+                        player.status = 'active';
+                        
+                        // Send feedback to player
+                        socket.emit('word-feedback', {
+                            word: upperWord,
+                            feedback,
+                            attempts: player.guesses.length,
+                            remainingAttempts: maxAttempts - player.guesses.length
+                        });
+
+                        // Notify others about the attempt (but not the word)
+                        socket.to(roomId).emit('player-guess', {
+                            playerId,
+                            username: player.username,
+                            attempts: player.guesses.length,
+                            status: 'active'
+                        });
+                    }
+                }
+
+                this.saveGameState(roomId);
+
+            } catch (error) {
+                console.error('Submit word error:', error);
+                socket.emit('error', { message: 'Failed to submit word' });
+            }
+        });
+
+        /**
+         * SET HARD MODE EVENT
+         * Player opts in or out of hard mode (revealed hints must be used)
+         * Can't be changed once the player has guessed in the current round,
+         * and can't be turned off when the room requires hard mode
+         * 
+         * Expected data: { roomId, enabled }
+         */
+        socket.on('set-hard-mode', async (data) => {
+            try {
+                const { roomId, enabled } = data;
+                const { playerId, username } = socket;
+
+                if (typeof enabled !== 'boolean') {
+                    socket.emit('error', { message: 'enabled must be true or false' });
+                    return;
+                }
+
+                const room = await Room.findOne({ roomId });
+                if (!room || !room.players.some(p => p.toString() === playerId)) {
+                    socket.emit('error', { message: 'You are not in this room' });
+                    return;
+                }
+
+                if (!enabled && resolveRoomSettings(room.settings).hardMode) {
+                    socket.emit('error', { message: 'Hard mode is required in this room' });
+                    return;
+                }
+
+                const gameState = this.activeGames.get(roomId);
+                const player = gameState?.players.find(p => p.playerId === playerId);
+                if (player && gameState.gameStatus === 'active' && player.guesses.length > 0) {
+                    socket.emit('error', { message: 'Hard mode can only be changed before your first guess of the round' });
+                    return;
+                }
+
+                if (enabled) {
+                    room.hardModePlayers.addToSet(playerId);
+                } else {
+                    room.hardModePlayers.pull(playerId);
+                }
+                await room.save();
+
+                // Applies straight away to a game in progress
+                if (player) {
+                    player.hardMode = enabled || gameState.hardMode;
+                    this.saveGameState(roomId);
+                }
+
+                this.io.to(roomId).emit('hard-mode-updated', {
+                    playerId,
+                    username,
+                    hardMode: enabled,
+                    message: `${username} turned hard mode ${enabled ? 'on' : 'off'}`
+                });
+
+            } catch (error) {
+                console.error('Set hard mode error:', error);
+                socket.emit('error', { message: 'Failed to update hard mode' });
+            }
+        });
+
+        // ===== GAME STATE EVENTS =====
+
+        /**
+         * GET GAME STATE EVENT
+         * Get current game state for a room, as seen by the requesting player
+         * Only for the room's players and spectators
+         */
+        socket.on('get-game-state', (data) => {
+            const { roomId } = data;
+            const gameState = this.activeGames.get(roomId);
+            
+            if (gameState && !this.canViewGame(socket, gameState)) {
+                socket.emit('error', { message: 'You are not in this room' });
+            } else if (gameState) {
+                socket.emit('game-state', serializeGameState(gameState, socket.playerId));
+            } else {
+                socket.emit('error', { message: 'No active game found' });
+            }
+        });
+
+        /**
+         * GET LEADERBOARD EVENT
+         * Get current leaderboard for a room (players and spectators only)
+         */
+        socket.on('get-leaderboard', (data) => {
+            const { roomId } = data;
+            const gameState = this.activeGames.get(roomId);
+            
+            if (gameState && !this.canViewGame(socket, gameState)) {
+                socket.emit('error', { message: 'You are not in this room' });
+            } else if (gameState) {
+                socket.emit('leaderboard', gameState.leaderboard);
+            } else {
+                socket.emit('error', { message: 'No active game found' });
+            }
+        });
+
+        // ===== DISCONNECT HANDLING =====
+        
+        /**
+         * DISCONNECT EVENT
+         * Handle when a player disconnects
+         * The player keeps their seat for a grace period so a refresh or
+         * network blip doesn't drop them out of a live game
+         * ('disconnecting' still has the socket's rooms, including ones
+         * joined through another instance)
+         */
+        socket.on('disconnecting', () => {
+            console.log(`🔌 Player disconnected: ${socket.id}`);
+            
+            const playerId = socket.playerId;
+            if (!playerId) return;
+
+            chatService.forgetSocket(socket.id);
+
+            // Drop out of matchmaking
+            if (matchmakingService.get(playerId)?.socketId === socket.id) {
+                matchmakingService.leave(playerId);
+            }
+
+            const { playing, spectating } = this.getRoomMemberships(socket);
+
+            // Spectators have no seat to hold
+            for (const roomId of spectating) {
+                this.removeSpectator(socket, roomId).catch(error => {
+                    console.error(`Error removing spectator from room ${roomId}:`, error);
+                });
+            }
+            
+            // Find rooms this player is in
+            const playerRooms = new Set(playing);
+            for (const [roomId, socketSet] of this.roomSockets.entries()) {
+                if (socketSet.has(socket.id)) {
+                    playerRooms.add(roomId);
+                    socketSet.delete(socket.id);
+                }
+            }
+
+            // The player's other tabs (on any instance) keep their seat in the
+            // rooms they are in - only rooms no other tab is in get a grace period
+            this.io.in(playerChannel(playerId)).fetchSockets()
+                .then(sockets => {
+                    const otherSockets = sockets.filter(other => other.id !== socket.id);
+
+                    for (const roomId of playerRooms) {
+                        if (!otherSockets.some(other => other.rooms.has(roomId))) {
+                            this.schedulePendingRemoval(roomId, playerId, socket.username);
+                        }
+                    }
+
+                    // Point the player mapping at another tab connected here, if any
+                    if (this.playerSockets.get(playerId) === socket.id) {
+                        const localSocket = otherSockets.find(other => this.io.sockets.sockets.has(other.id));
+                        if (localSocket) {
+                            this.playerSockets.set(playerId, localSocket.id);
+                        } else {
+                            this.playerSockets.delete(playerId);
+                        }
+                    }
+                })
+                .catch(error => {
+                    console.error(`Error checking other sockets of player ${playerId}:`, error);
+                });
+        });
+    }
+
+    /**
+     * Get how long a disconnected player keeps their seat
+     * Read lazily so RECONNECT_GRACE_SECONDS from .env is picked up
+     * @returns {number} - Grace period in milliseconds
+     */
+    getReconnectGracePeriod() {
+        const seconds = Number(process.env.RECONNECT_GRACE_SECONDS);
+        return (Number.isFinite(seconds) && seconds >= 0 ? seconds : DEFAULT_RECONNECT_GRACE_SECONDS) * 1000;
+    }
+
+    /**
+     * Give a disconnected player a grace period to reconnect before removing them
+     * @param {string} roomId - Room ID
+     * @param {string} playerId - Player ID
+     * @param {string} username - Player username
+     */
+    schedulePendingRemoval(roomId, playerId, username) {
+        const key = `${roomId}:${playerId}`;
+        const gracePeriod = this.getReconnectGracePeriod();
+
+        if (this.pendingRemovals.has(key)) {
+            clearTimeout(this.pendingRemovals.get(key));
+        }
+
+        this.pendingRemovals.set(key, setTimeout(() => {
+            this.pendingRemovals.delete(key);
+            this.removeDisconnectedPlayer(roomId, playerId).catch(error => {
+                console.error(`Error handling disconnect for room ${roomId}:`, error);
+            });
+        }, gracePeriod));
+
+        this.io.to(roomId).emit('player-reconnecting', {
+            playerId,
+            username,
+            gracePeriod,
+            message: `${username} disconnected - waiting for them to reconnect`
+        });
+
+        console.log(`⏳ Holding seat for ${username} in room ${roomId} for ${gracePeriod / 1000}s`);
+    }
+
+    /**
+     * Cancel the pending removal of a player, if any
+     * @param {string} roomId - Room ID
+     * @param {string} playerId - Player ID
+     * @param {Object} options - { relay } - also cancel it on other instances (default true)
+     * @returns {boolean} - True if the player was inside their grace period (on this instance)
+     */
+    cancelPendingRemoval(roomId, playerId, { relay = true } = {}) {
+        // The player may have dropped off another instance, which holds that timer
+        if (relay && this.roomLock.shared) {
+            this.io.serverSideEmit('cancel-pending-removal', { roomId, playerId });
+        }
+
+        const key = `${roomId}:${playerId}`;
+        const timer = this.pendingRemovals.get(key);
+        if (!timer) return false;
+
+        clearTimeout(timer);
+        this.pendingRemovals.delete(key);
+        return true;
+    }
+
+    /**
+     * Remove a player whose grace period expired from the room
+     * Reassigns ownership and deletes the room when it's empty
+     * @param {string} roomId - Room ID
+     * @param {string} playerId - Player ID
+     */
+    async removeDisconnectedPlayer(roomId, playerId) {
+        const room = await Room.findOne({ roomId })
+            .populate('players', 'username _id')
+            .populate('owner', 'username _id')
+            .lean();
+        
+        if (!room) return;
+        
+        const isOwner = room.owner._id.toString() === playerId;
+        const remainingPlayers = room.players.filter(p => p._id.toString() !== playerId);
+        
+        // Remove player from room
+        const roomDoc = await Room.findOne({ roomId });
+        if (!roomDoc) return;
+
+        roomDoc.players = roomDoc.players.filter(p => p.toString() !== playerId);
+        roomDoc.readyPlayers.pull(playerId);
+        
+        // If owner disconnected, assign new owner randomly
+        if (isOwner && remainingPlayers.length > 0) {
+            const newOwnerIndex = Math.floor(Math.random() * remainingPlayers.length);
+            const newOwnerId = remainingPlayers[newOwnerIndex]._id;
+            roomDoc.owner = newOwnerId;
+            
+            // Notify all players about new owner
+            this.io.to(roomId).emit('owner-changed', {
+                newOwnerId: newOwnerId.toString(),
+                newOwnerUsername: remainingPlayers[newOwnerIndex].username,
+                message: `${remainingPlayers[newOwnerIndex].username} is now the room owner`
+            });
+        }
+        
+        // If room is empty, delete it
+        if (roomDoc.players.length === 0) {
+            await this.deleteRoom(roomId);
+            this.notifyLobby();
+            console.log(`🗑️ Room ${roomId} deleted - no players remaining`);
+            return;
+        }
+
+        await roomDoc.save();
+        this.notifyLobby();
+        
+        // Notify other players
+        const updatedRoom = await Room.findOne({ roomId })
+            .populate('players', 'username gamesPlayed gamesWon winRate _id')
+            .populate('owner', 'username _id')
+            .lean();
+        
+        if (updatedRoom) {
+            this.io.to(roomId).emit('player-disconnected', {
+                playerId,
+                room: updatedRoom,
+                isOwner: isOwner,
+                message: 'A player disconnected'
+            });
+            
+            console.log(`📢 Notified players in room ${roomId} about disconnect. Remaining: ${updatedRoom.players.length}`);
+        }
+    }
+
+    /**
+     * Emit an event to every socket in a room with a payload built for that recipient
+     * Covers players and spectators alike (anyone in the Socket.IO room)
+     * @param {string} roomId - Room ID
+     * @param {string} event - Event name
+     * @param {Function} buildPayload - (playerId|null) => payload
+     */
+    emitPerRecipient(roomId, event, buildPayload) {
+        // fetchSockets also returns sockets connected to other instances
+        this.io.in(roomId).fetchSockets()
+            .then(recipients => {
+                for (const recipient of recipients) {
+                    recipient.emit(event, buildPayload(recipient.data.playerId ?? null));
+                }
+            })
+            .catch(error => {
+                console.error(`Error sending ${event} in room ${roomId}:`, error);
+            });
+    }
+
+    /**
+     * Stop a socket spectating a room
+     * @param {Object} socket - Spectator's socket
+     * @param {string} roomId - Room ID
+     */
+    async removeSpectator(socket, roomId) {
+        socket.leave(roomId);
+        socket.leave(spectatorChannel(roomId));
+
+        await Room.updateOne({ roomId }, { $pull: { spectators: socket.playerId } });
+
+        this.io.to(roomId).emit('spectator-left', {
+            playerId: socket.playerId,
+            username: socket.username,
+            message: `${socket.username} stopped spectating`
+        });
+
+        console.log(`👀 ${socket.username} stopped spectating room ${roomId}`);
+    }
+
+    /**
+     * Send an event to a player's current socket, if they're connected
+     * @param {string} playerId - Player ID
+     * @param {string} event - Event name
+     * @param {Object} data - Payload
+     */
+    emitToPlayer(playerId, event, data) {
+        this.io.to(playerChannel(playerId)).emit(event, data);
+    }
+
+    /**
+     * Whether a player has a socket connected to any instance
+     * @param {string} playerId - Player ID
+     * @returns {Promise<boolean>}
+     */
+    async isOnline(playerId) {
+        const sockets = await this.io.in(playerChannel(playerId)).fetchSockets();
+        return sockets.length > 0;
+    }
+
+    /**
+     * Where a player is, for their friends list (checks every instance)
+     * @param {string} playerId - Player ID
+     * @returns {Promise<string>} - 'offline', 'online' or 'in-game'
+     */
+    async getPresence(playerId) {
+        if (!(await this.isOnline(playerId))) return 'offline';
+
+        return (await Room.exists({ players: playerId, status: 'in-game' })) ? 'in-game' : 'online';
+    }
+
+    /**
+     * Look up an unexpired room invite (expired ones are dropped)
+     * @param {string} roomId - Room ID
+     * @param {string} playerId - Invited player
+     * @returns {Object|null} - { fromId, fromUsername, expiresAt }
+     */
+    getRoomInvite(roomId, playerId) {
+        const key = `${roomId}:${playerId}`;
+        const invite = this.roomInvites.get(key);
+        if (invite && invite.expiresAt <= Date.now()) {
+            this.roomInvites.delete(key);
+            return null;
+        }
+        return invite || null;
+    }
+
+    /**
+     * Players other than the owner who haven't readied up
+     * @param {Object} room - Room (players populated or not)
+     * @param {string} ownerId - Owner's player ID
+     * @returns {Array<Object>} - Players still not ready
+     */
+    getUnreadyPlayers(room, ownerId) {
+        const ready = new Set((room.readyPlayers || []).map(id => id.toString()));
+        return room.players.filter(p => {
+            const id = p._id ? p._id.toString() : p.toString();
+            return id !== ownerId && !ready.has(id);
+        });
+    }
+
+    /**
+     * Check everyone is ready before the owner starts a game
+     * Emits an error naming the players still not ready
+     * @param {Object} socket - Owner's socket
+     * @param {Object} room - Room with populated players
+     * @param {string} ownerId - Owner's player ID
+     * @returns {boolean} - Whether the game can start
+     */
+    checkPlayersReady(socket, room, ownerId) {
+        const unready = this.getUnreadyPlayers(room, ownerId);
+        if (unready.length === 0) return true;
+
+        socket.emit('error', {
+            message: `Waiting for ${unready.map(p => p.username).join(', ')} to be ready`,
+            notReady: unready.map(p => p._id.toString())
+        });
+        return false;
+    }
+
+    /**
+     * Load a room and check the socket's player owns it
+     * Emits an error to the socket when they don't
+     * @param {Object} socket - Requesting socket
+     * @param {string} roomId - Room ID
+     * @param {string} action - What they tried to do, for the error message
+     * @returns {Promise<Object|null>} - Room document, or null if not allowed
+     */
+    async findOwnedRoom(socket, roomId, action) {
+        const room = await Room.findOne({ roomId });
+        if (!room || room.owner?.toString() !== socket.playerId) {
+            socket.emit('error', { message: `Only room owner can ${action}` });
+            return null;
+        }
+        return room;
+    }
+
+    /**
+     * Kick or ban a player/spectator on the owner's behalf
+     * @param {Object} socket - Owner's socket
+     * @param {Object} data - { roomId, playerId }
+     * @param {Object} options - { ban } - also stop them rejoining
+     */
+    async removeFromRoomByOwner(socket, data, { ban }) {
+        const verb = ban ? 'ban' : 'kick';
+        try {
+            const { roomId, playerId: targetId } = data;
+            const room = await this.findOwnedRoom(socket, roomId, `${verb} players`);
+            if (!room) return;
+
+            if (!targetId || targetId === socket.playerId) {
+                socket.emit('error', { message: `You can't ${verb} yourself` });
+                return;
+            }
+
+            const inRoom = room.players.some(p => p.toString() === targetId) ||
+                room.spectators.some(p => p.toString() === targetId);
+            if (!inRoom && !ban) {
+                socket.emit('error', { message: 'Player is not in this room' });
+                return;
+            }
+
+            room.players.pull(targetId);
+            room.spectators.pull(targetId);
+            room.readyPlayers.pull(targetId);
+            if (ban) {
+                room.bannedPlayers.addToSet(targetId);
+            }
+            await room.save();
+
+            this.cancelPendingRemoval(roomId, targetId);
+            this.removeFromGame(roomId, targetId);
+
+            // Take every socket of theirs (on any instance) out of the room channels
+            for (const targetSocket of await this.io.in(roomId).fetchSockets()) {
+                if (targetSocket.data.playerId !== targetId) continue;
+
+                targetSocket.leave(roomId);
+                targetSocket.leave(spectatorChannel(roomId));
+                this.roomSockets.get(roomId)?.delete(targetSocket.id);
+                targetSocket.emit(ban ? 'banned' : 'kicked', {
+                    roomId,
+                    message: ban ? 'You were banned from the room' : 'You were kicked from the room'
+                });
+            }
+
+            const target = await Player.findById(targetId).select('username').lean();
+            const updatedRoom = await Room.findOne({ roomId })
+                .populate('players', 'username gamesPlayed gamesWon winRate')
+                .populate('spectators', 'username')
+                .populate('owner', 'username');
+
+            this.io.to(roomId).emit(ban ? 'player-banned' : 'player-kicked', {
+                playerId: targetId,
+                username: target?.username,
+                room: updatedRoom,
+                message: `${target?.username || 'A player'} was ${ban ? 'banned' : 'kicked'} by the owner`
+            });
+            this.notifyLobby();
+
+            console.log(`🚫 ${socket.username} ${ban ? 'banned' : 'kicked'} ${target?.username} from room ${roomId}`);
+
+        } catch (error) {
+            console.error(`${ban ? 'Ban' : 'Kick'} player error:`, error);
+            socket.emit('error', { message: `Failed to ${verb} player` });
+        }
+    }
+
+    /**
+     * Whether a socket may see a room's game: players of the game, and sockets
+     * in the room channel (joined players and admitted spectators - bans,
+     * passwords and allowSpectators were checked when they came in)
+     * @param {Object} socket - Socket
+     * @param {Object} gameState - Game state
+     * @returns {boolean}
+     */
+    canViewGame(socket, gameState) {
+        return socket.rooms.has(gameState.roomId) ||
+            gameState.players.some(p => p.playerId === socket.playerId);
+    }
+
+    /**
+     * Take a removed player out of the room's running game
+     * The round ends early if they were the last one still guessing
+     * @param {string} roomId - Room ID
+     * @param {string} playerId - Player ID
+     */
+    removeFromGame(roomId, playerId) {
+        const gameState = this.activeGames.get(roomId);
+        if (!gameState) return;
+
+        gameState.players = gameState.players.filter(p => p.playerId !== playerId);
+        delete gameState.standings[playerId];
+        this.saveGameState(roomId);
+
+        if (gameState.gameStatus === 'active') {
+            this.updateLeaderboard(roomId);
+            this.checkGameCompletion(roomId);
+        }
+    }
+
+    /**
+     * Push the open room list to lobby subscribers (debounced)
+     */
+    notifyLobby() {
+        lobbyService.notifyLobbyChanged(this.io);
+    }
+
+    /**
+     * Persist whether a room is mid-game so the lobby can hide it
+     * @param {string} roomId - Room ID
+     * @param {string} status - 'waiting' or 'in-game'
+     */
+    setRoomStatus(roomId, status) {
+        Room.updateOne({ roomId }, { status })
+            .then(() => this.notifyLobby())
+            .catch(error => console.error(`Error updating status of room ${roomId}:`, error));
+    }
+
+    /**
+     * Run matchmaking every few seconds while anyone is queued
+     */
+    startMatchmakingTimer() {
+        if (this.matchmakingTimer) return;
+        this.matchmakingTimer = setInterval(() => this.runMatchmaking(), MATCHMAKING_TICK_MS);
+    }
+
+    /**
+     * Time out players who waited too long and turn compatible groups into rooms
+     */
+    runMatchmaking() {
+        const now = Date.now();
+
+        for (const entry of matchmakingService.expire(now)) {
+            this.io.to(entry.socketId).emit('queue-timeout', {
+                reason: 'timeout',
+                message: 'No match found - please try again'
+            });
+        }
+
+        for (const group of matchmakingService.findMatches(now)) {
+            this.createMatchRoom(group).catch(error => {
+                console.error('Error creating matchmaking room:', error);
+                group.forEach(entry => {
+                    this.io.to(entry.socketId).emit('error', { message: 'Failed to create match' });
+                });
+            });
+        }
+
+        if (matchmakingService.size === 0 && this.matchmakingTimer) {
+            clearInterval(this.matchmakingTimer);
+            this.matchmakingTimer = null;
+        }
+    }
+
+    /**
+     * Create a room for a matched group, move their sockets in and start the countdown
+     * Players who disconnected or joined a room since being matched are left out
+     * @param {Array<Object>} matchedGroup - Queue entries from the matchmaking service
+     */
+    async createMatchRoom(matchedGroup) {
+        const busyPlayers = new Set((await Room.distinct('players', {
+            players: { $in: matchedGroup.map(entry => entry.playerId) }
+        })).map(id => id.toString()));
+        const group = matchedGroup.filter(entry =>
+            this.io.sockets.sockets.has(entry.socketId) && !busyPlayers.has(entry.playerId)
+        );
+
+        if (group.length < matchedGroup.length) {
+            const dropped = matchedGroup.filter(entry => !group.includes(entry));
+            // They're out of the pool now - tell them instead of leaving them waiting
+            dropped.forEach(entry => {
+                this.io.to(entry.socketId).emit('queue-left', {
+                    reason: 'unavailable',
+                    message: 'Left the matchmaking queue - you are already in a room'
+                });
+            });
+            console.log(`🔎 Left ${dropped.map(entry => entry.username).join(', ')} out of a match - no longer available`);
+        }
+
+        if (group.length < MATCHMAKING_CONFIG.minPlayers) {
+            // Not enough players left for a match - the rest keep their place in the queue
+            group.forEach(entry => matchmakingService.requeue(entry));
+            if (group.length > 0) this.startMatchmakingTimer();
+            return;
+        }
+
+        const roomId = await Room.generateUniqueRoomId();
+        const { category, settings } = matchmakingService.getGroupPreferences(group);
+        const playerIds = group.map(entry => entry.playerId);
+
+        await Room.create({
+            roomId,
+            owner: playerIds[0], // Longest-waiting player
+            players: playerIds,
+            settings: resolveRoomSettings(settings)
+        });
+
+        for (const entry of group) {
+            const playerSocket = this.io.sockets.sockets.get(entry.socketId);
+            if (!playerSocket) continue;
+
+            playerSocket.join(roomId);
+            this.playerSockets.set(entry.playerId, entry.socketId);
+            if (!this.roomSockets.has(roomId)) {
+                this.roomSockets.set(roomId, new Set());
+            }
+            this.roomSockets.get(roomId).add(entry.socketId);
+        }
+
+        const room = await Room.findOne({ roomId })
+            .populate('players', 'username gamesPlayed gamesWon winRate rating')
+            .populate('owner', 'username');
+
+        this.io.to(roomId).emit('match-found', {
+            roomId,
+            room,
+            category,
+            startsIn: MATCH_START_COUNTDOWN_SECONDS * 1000,
+            message: 'Match found!'
+        });
+
+        console.log(`🤝 Matched ${group.map(entry => entry.username).join(', ')} into room ${roomId}`);
+
+        // Matched players didn't ready up, so give them a longer countdown
+        await this.startMatch(room, {
+            category,
+            rankingMode: resolveRoomSettings(room.settings).scoringMode,
+            rounds: 1,
+            intermissionSeconds: DEFAULT_INTERMISSION_SECONDS,
+            countdownSeconds: MATCH_START_COUNTDOWN_SECONDS
+        });
+    }
+
+    /**
+     * Pick the target word for a game
+     * Retries a few times to avoid words already used in this match
+     * @param {string} category - Category key, or 'random' for any category
+     * @param {number} wordLength - Number of letters
+     * @param {Array} usedWords - Words already used in this match
+     * @returns {Promise<Object>} - Word object from the word service
+     */
+    async pickWord(category, wordLength, usedWords = []) {
+        let wordObj;
+        for (let attempt = 0; attempt < 10; attempt++) {
+            wordObj = category === 'random'
+                ? await wordService.getRandomWord(wordLength)
+                : await wordService.getWordFromCategory(category, wordLength);
+            if (!usedWords.includes(wordObj.word)) break;
+        }
+        return wordObj;
+    }
+
+    /**
+     * Validate the options for a new match
+     * @param {Object} options - { category, rankingMode, rounds, intermissionSeconds }
+     * @returns {string|null} - Error message, or null if the options are valid
+     */
+    validateMatchOptions({ category, rankingMode, rounds, intermissionSeconds }) {
+        if (category !== 'random' && !wordService.hasCategory(category)) {
+            return this.unknownCategoryMessage(category);
+        }
+        if (!isValidRankingMode(rankingMode)) {
+            return this.unknownRankingModeMessage(rankingMode);
+        }
+        if (!Number.isInteger(rounds) || rounds < 1 || rounds > MAX_ROUNDS) {
+            return `Rounds must be a whole number between 1 and ${MAX_ROUNDS}`;
+        }
+        if (typeof intermissionSeconds !== 'number' ||
+            intermissionSeconds < MIN_INTERMISSION_SECONDS ||
+            intermissionSeconds > MAX_INTERMISSION_SECONDS) {
+            return `Intermission must be between ${MIN_INTERMISSION_SECONDS} and ${MAX_INTERMISSION_SECONDS} seconds`;
+        }
+        return null;
+    }
+
+    /**
+     * Create a new match for a room and start its first round
+     * @param {Object} room - Room with populated players (lean)
+     * @param {Object} options - Validated match options
+     */
+    async startMatch(room, options) {
+        const roomId = room.roomId;
+        const settings = resolveRoomSettings(room.settings);
+
+        // Only one instance may run a room's game
+        if (!(await this.roomLock.acquire(roomId))) {
+            this.io.to(roomId).emit('error', { message: 'Game already in progress' });
+            return;
+        }
+
+        // Debug: Log room players to verify usernames are populated
+        console.log('Room players:', room.players.map(p => ({
+            _id: p._id,
+            username: p.username
+        })));
+
+        const hardModePlayers = new Set((room.hardModePlayers || []).map(id => id.toString()));
+
+        const gameState = {
+            roomId,
+            matchId: generateMatchId(),
+            categoryKey: options.category,
+            rankingMode: options.rankingMode,
+            totalRounds: options.rounds,
+            currentRound: 0,
+            intermissionTime: options.intermissionSeconds * 1000,
+            usedWords: [],
+            standings: {}, // playerId -> cumulative match totals
+            gameStatus: 'countdown', // 'countdown', 'active', 'round-over', 'intermission', 'finished'
+            // Room settings are fixed for the whole match
+            wordLength: settings.wordLength,
+            maxAttempts: settings.maxAttempts,
+            timeLimit: settings.timeLimit * 1000, // ms
+            hardMode: settings.hardMode, // Room-wide hard mode
+            players: room.players.map(p => {
+                // With lean(), p should be a plain object
+                const playerIdStr = p._id ? p._id.toString() : p.toString();
+                // Username should be directly accessible with lean()
+                const username = p.username || 'Unknown';
+
+                if (!username || username === 'Unknown') {
+                    console.log(`⚠️ Warning: Username is Unknown for player ${playerIdStr}`, p);
+                }
+
+                return {
+                    playerId: playerIdStr,
+                    username: username,
+                    hardMode: settings.hardMode || hardModePlayers.has(playerIdStr)
+                };
+            }),
+            leaderboard: []
+        };
+
+        gameState.players.forEach(player => {
+            gameState.standings[player.playerId] = createStanding(player);
+        });
+
+        // Store game state
+        this.activeGames.set(roomId, gameState);
+        this.setRoomStatus(roomId, 'in-game');
+
+        // Everyone readies up again for the next match
+        await Room.updateOne({ roomId }, { $set: { readyPlayers: [] } });
+
+        this.startCountdown(roomId, options.countdownSeconds ?? GAME_START_COUNTDOWN_SECONDS);
+    }
+
+    /**
+     * Count down to the first round so every player starts together
+     * The round clock (gameStartTime) only starts once this reaches zero
+     * @param {string} roomId - Room ID
+     * @param {number} seconds - Countdown length
+     */
+    startCountdown(roomId, seconds) {
+        const gameState = this.activeGames.get(roomId);
+        if (!gameState) return;
+
+        let secondsLeft = seconds;
+        const startsAt = Date.now() + seconds * 1000;
+        gameState.countdownEndsAt = startsAt;
+        this.saveGameState(roomId);
+
+        const emitCountdown = () => {
+            this.io.to(roomId).emit('game-countdown', { roomId, secondsLeft, startsAt });
+        };
 
-                    // Find player in game
-                    const player = gameState.players.find(p => p.playerId === playerId);
-                    if (!player) {
-                        socket.emit('error', { message: 'Player not in this game' });
-                        return;
-                    }
+        emitCountdown();
+        gameState.countdownInterval = setInterval(async () => {
+            secondsLeft -= 1;
+            if (secondsLeft > 0) {
+                emitCountdown();
+                return;
+            }
 
-                    // Check if player already solved
-                    if (player.isSolved) {
-                        socket.emit('error', { message: 'You already solved the word!' });
-                        return;
-                    }
+            clearInterval(gameState.countdownInterval);
+            gameState.countdownInterval = null;
+            try {
+                await this.startRound(roomId);
+            } catch (error) {
+                console.error(`Error starting game in room ${roomId}:`, error);
+                this.removeGame(roomId);
+                this.setRoomStatus(roomId, 'waiting');
+                this.io.to(roomId).emit('error', { message: 'Failed to start game' });
+            }
+        }, 1000);
+    }
 
-                    // Validate word length (must be 5 letters)
-                    if (!word || word.length !== 5) {
-                        socket.emit('error', { message: 'Word must be exactly 5 letters' });
-                        return;
-                    }
+    /**
+     * Start the next round of a match with a new word
+     * @param {string} roomId - Room ID
+     */
+    async startRound(roomId) {
+        const gameState = this.activeGames.get(roomId);
+        if (!gameState) return;
 
-                    const upperWord = word.toUpperCase();
+        // Generate a new word for this round
+        const wordObj = await this.pickWord(gameState.categoryKey, gameState.wordLength, gameState.usedWords);
+
+        // The match may have been cancelled while we were fetching the word
+        if (this.activeGames.get(roomId) !== gameState) return;
+
+        gameState.currentRound += 1;
+        gameState.category = wordObj.category;
+        gameState.targetWord = wordObj.word;
+        gameState.wordRevealed = false; // Only sent to clients once the round ends
+        gameState.usedWords.push(wordObj.word);
+        gameState.gameId = null;
+        gameState.leaderboard = [];
+
+        // Reset per-round player state
+        gameState.players.forEach(player => {
+            Object.assign(player, {
+                guesses: [],
+                guessHistory: [], // { word, feedback, timestamp } per guess
+                currentGuess: '',
+                isSolved: false,
+                solveTime: null,
+                solveAttempts: null,
+                failedTime: null,
+                score: 0,
+                rank: null,
+                status: 'active' // 'active', 'solved', 'failed'
+            });
+        });
 
-                    // Check if player used all 6 attempts
-                    if (player.guesses.length >= 6) {
-                        socket.emit('error', { message: 'You have used all 6 attempts' });
-                        return;
-                    }
+        gameState.gameStatus = 'active';
+        gameState.gameStartTime = Date.now();
 
-                    // Add guess to player's guesses
-                    player.guesses.push(upperWord);
-                    player.currentGuess = upperWord;
+        const isFirstRound = gameState.currentRound === 1;
 
-                    // Check if word is correct
-                    const isCorrect = upperWord === gameState.targetWord;
-                    
-                    if (isCorrect) {
-                        // Player solved the word!
-                        player.isSolved = true;
-                        player.solveTime = Date.now() - gameState.gameStartTime;
-                        player.solveAttempts = player.guesses.length;
-                        player.status = 'solved';
+        // Notify all players that the round started
+        const message = isFirstRound
+            ? `Game started! Find the word!`
+            : `Round ${gameState.currentRound} of ${gameState.totalRounds} started! Find the word!`;
+        this.emitPerRecipient(roomId, 'game-started', (viewerId) => ({
+            gameState: serializeGameState(gameState, viewerId),
+            message
+        }));
 
-                        // Notify all players about the solve
-                        this.io.to(roomId).emit('word-solved', {
-                            playerId,
-                            username: player.username,
-                            solveTime: player.solveTime,
-                            solveAttempts: player.solveAttempts,
-                            message: `${player.username} solved the word in ${player.solveAttempts} attempts!`
-                        });
+        // Start game timer
+        this.startGameTimer(roomId);
+        this.saveGameState(roomId);
 
-                        // Update leaderboard and check if game should end
-                        this.updateLeaderboard(roomId);
-                        this.checkGameCompletion(roomId);
+        console.log(`🎮 Round ${gameState.currentRound}/${gameState.totalRounds} started in room ${roomId} - Word: ${gameState.targetWord}`);
+    }
 
-                    } else {
-                        // Word is incorrect - generate feedback (Wordle style)
-                        const feedback = this.generateWordFeedback(upperWord, gameState.targetWord);
-                        
-                        // Check if player exhausted all attempts
-                        if (player.guesses.length >= 6) {
-                            // Player failed - exhausted all attempts
-                            player.isSolved = false;
-                            player.status = 'failed';
-                            // Track time when they failed (when they submitted their 6th guess)
-                            player.solveTime = Date.now() - gameState.gameStartTime;
-                            player.solveAttempts = 6;
-                            player.failedTime = Date.now() - gameState.gameStartTime;
-
-                            // Notify all players
-                            this.io.to(roomId).emit('player-failed', {
-                                playerId,
-                                username: player.username,
-                                attempts: 6,
-                                failedTime: player.failedTime,
-                                message: `${player.username} used all 6 attempts`
-                            });
-
-                            // Update leaderboard and check if game should end
-                            this.updateLeaderboard(roomId);
-                            this.checkGameCompletion(roomId);
-                        } else {
-                            // Player still has attempts left
-                            player.status = 'active';
-                            
-                            // Send feedback to player
-                            socket.emit('word-feedback', {
-                                word: upperWord,
-                                feedback,
-                                attempts: player.guesses.length,
-                                remainingAttempts: 6 - player.guesses.length
-                            });
-
-                            // Notify others about the attempt (but not the word)
-                            socket.to(roomId).emit('player-guess', {
-                                playerId,
-                                username: player.username,
-                                attempts: player.guesses.length,
-                                status: 'active'
-                            });
-                        }
-                    }
+    /**
+     * Run the countdown between rounds, then start the next round
+     * @param {string} roomId - Room ID
+     * @param {number} intermissionEnd - When the next round starts (ms), earlier than now when resuming
+     */
+    startIntermission(roomId, intermissionEnd = null) {
+        const gameState = this.activeGames.get(roomId);
+        if (!gameState) return;
 
-                } catch (error) {
-                    console.error('Submit word error:', error);
-                    socket.emit('error', { message: 'Failed to submit word' });
-                }
-            });
+        gameState.gameStatus = 'intermission';
+        intermissionEnd = intermissionEnd ?? Date.now() + gameState.intermissionTime;
+        gameState.intermissionEndsAt = intermissionEnd;
+        this.saveGameState(roomId);
 
-            // ===== GAME STATE EVENTS =====
+        gameState.intermissionInterval = setInterval(() => {
+            const timeLeft = intermissionEnd - Date.now();
+            if (timeLeft > 0) {
+                this.io.to(roomId).emit('intermission-update', {
+                    timeLeft,
+                    nextRound: gameState.currentRound + 1,
+                    totalRounds: gameState.totalRounds
+                });
+            } else {
+                clearInterval(gameState.intermissionInterval);
+            }
+        }, 1000);
 
-            /**
-             * GET GAME STATE EVENT
-             * Get current game state for a room
-             */
-            socket.on('get-game-state', (data) => {
-                const { roomId } = data;
-                const gameState = this.activeGames.get(roomId);
-                
-                if (gameState) {
-                    socket.emit('game-state', gameState);
-                } else {
-                    socket.emit('error', { message: 'No active game found' });
-                }
+        gameState.intermissionTimer = setTimeout(() => {
+            clearInterval(gameState.intermissionInterval);
+            this.startRound(roomId).catch(error => {
+                console.error(`Error starting next round in room ${roomId}:`, error);
+                this.io.to(roomId).emit('error', { message: 'Failed to start next round' });
             });
+        }, Math.max(0, intermissionEnd - Date.now()));
+    }
 
-            /**
-             * GET LEADERBOARD EVENT
-             * Get current leaderboard for a room
-             */
-            socket.on('get-leaderboard', (data) => {
-                const { roomId } = data;
-                const gameState = this.activeGames.get(roomId);
-                
-                if (gameState) {
-                    socket.emit('leaderboard', gameState.leaderboard);
-                } else {
-                    socket.emit('error', { message: 'No active game found' });
-                }
-            });
+    /**
+     * Clear every timer attached to a game state
+     * @param {Object} gameState - Game state
+     */
+    clearGameTimers(gameState) {
+        if (gameState.gameTimer) clearTimeout(gameState.gameTimer);
+        if (gameState.timerInterval) clearInterval(gameState.timerInterval);
+        if (gameState.intermissionTimer) clearTimeout(gameState.intermissionTimer);
+        if (gameState.intermissionInterval) clearInterval(gameState.intermissionInterval);
+        if (gameState.countdownInterval) clearInterval(gameState.countdownInterval);
+    }
 
-            // ===== DISCONNECT HANDLING =====
-            
-            /**
-             * DISCONNECT EVENT
-             * Handle when a player disconnects
-             */
-            socket.on('disconnect', async () => {
-                console.log(`🔌 Player disconnected: ${socket.id}`);
-                
-                const playerId = socket.playerId;
-                if (!playerId) return;
-                
-                // Find rooms this player is in
-                const playerRooms = [];
-                for (const [roomId, socketSet] of this.roomSockets.entries()) {
-                    if (socketSet.has(socket.id)) {
-                        playerRooms.push(roomId);
-                        socketSet.delete(socket.id);
-                    }
-                }
-                
-                // Handle player leaving each room
-                for (const roomId of playerRooms) {
-                    try {
-                        const room = await Room.findOne({ roomId })
-                            .populate('players', 'username _id')
-                            .populate('owner', 'username _id')
-                            .lean();
-                        
-                        if (!room) continue;
-                        
-                        const isOwner = room.owner._id.toString() === playerId;
-                        const remainingPlayers = room.players.filter(p => p._id.toString() !== playerId);
-                        
-                        // Remove player from room
-                        const roomDoc = await Room.findOne({ roomId });
-                        if (roomDoc) {
-                            roomDoc.players = roomDoc.players.filter(p => p.toString() !== playerId);
-                            
-                            // If owner disconnected, assign new owner randomly
-                            if (isOwner && remainingPlayers.length > 0) {
-                                const newOwnerIndex = Math.floor(Math.random() * remainingPlayers.length);
-                                const newOwnerId = remainingPlayers[newOwnerIndex]._id;
-                                roomDoc.owner = newOwnerId;
-                                
-                                // Notify all players about new owner
-                                this.io.to(roomId).emit('owner-changed', {
-                                    newOwnerId: newOwnerId.toString(),
-                                    newOwnerUsername: remainingPlayers[newOwnerIndex].username,
-                                    message: `${remainingPlayers[newOwnerIndex].username} is now the room owner`
-                                });
-                            }
-                            
-                            // If room is empty, delete it
-                            if (roomDoc.players.length === 0) {
-                                await Room.deleteOne({ roomId });
-                                this.activeGames.delete(roomId);
-                                console.log(`🗑️ Room ${roomId} deleted - no players remaining`);
-                            } else {
-                                await roomDoc.save();
-                                
-                                // Notify other players
-                                const updatedRoom = await Room.findOne({ roomId })
-                                    .populate('players', 'username gamesPlayed gamesWon winRate _id')
-                                    .populate('owner', 'username _id')
-                                    .lean();
-                                
-                                if (updatedRoom) {
-                                    this.io.to(roomId).emit('player-disconnected', {
-                                        playerId,
-                                        room: updatedRoom,
-                                        isOwner: isOwner,
-                                        message: 'A player disconnected'
-                                    });
-                                    
-                                    console.log(`📢 Notified players in room ${roomId} about disconnect. Remaining: ${updatedRoom.players.length}`);
-                                }
-                            }
-                        }
-                    } catch (error) {
-                        console.error(`Error handling disconnect for room ${roomId}:`, error);
-                    }
-                }
-                
-                // Remove from player mapping
-                this.playerSockets.delete(playerId);
+    /**
+     * Stop and forget the game for a room
+     * @param {string} roomId - Room ID
+     */
+    removeGame(roomId) {
+        const gameState = this.activeGames.get(roomId);
+        if (gameState) {
+            this.clearGameTimers(gameState);
+            this.activeGames.delete(roomId);
+        }
+        if (this.roomLock.owns(roomId)) {
+            this.roomLock.release(roomId).catch(error => {
+                console.error(`Error releasing lock for room ${roomId}:`, error);
             });
-        });
+        }
+    }
+
+    /**
+     * Build the error message for an unknown category key
+     * @param {string} category - The requested category key
+     * @returns {string} - Error message listing the valid keys
+     */
+    unknownCategoryMessage(category) {
+        const available = wordService.getCategories().map(c => c.key).join(', ');
+        return `Unknown category '${category}'. Available categories: random, ${available}`;
     }
 
     /**
@@ -673,10 +2231,10 @@ class GameSocketHandler {
             clearTimeout(gameState.gameTimer);
         }
 
-        // Set timer for game completion
+        // Set timer for game completion (counted from gameStartTime, so it also works after a restart)
         gameState.gameTimer = setTimeout(() => {
             this.endGame(roomId);
-        }, gameState.timeLimit);
+        }, Math.max(0, gameState.gameStartTime + gameState.timeLimit - Date.now()));
 
         // Send timer updates every second
         gameState.timerInterval = setInterval(() => {
@@ -711,28 +2269,44 @@ class GameSocketHandler {
     }
 
     /**
-     * End the game and show leaderboard
+     * End the current round and show leaderboard
+     * Called from timers and event handlers without awaiting, so it never
+     * rejects: if ending the round fails, the match is dropped
      * @param {string} roomId - Room ID
      */
     async endGame(roomId) {
+        try {
+            await this.finishRound(roomId);
+        } catch (error) {
+            console.error(`Error ending round in room ${roomId}:`, error);
+            this.removeGame(roomId);
+            this.setRoomStatus(roomId, 'waiting');
+            this.io.to(roomId).emit('error', { message: 'Failed to end the round' });
+        }
+    }
+
+    /**
+     * Rank the round, save it and move on to the intermission, or end the
+     * match after the last round (use endGame, which handles errors)
+     * @param {string} roomId - Room ID
+     */
+    async finishRound(roomId) {
         const gameState = this.activeGames.get(roomId);
-        if (!gameState) return;
+        if (!gameState || gameState.gameStatus !== 'active') return;
+
+        // Mark the round as over straight away so the timer and the last
+        // submission can't both end it
+        gameState.gameStatus = 'round-over';
+        gameState.wordRevealed = true;
 
         // Clear timers
-        if (gameState.gameTimer) clearTimeout(gameState.gameTimer);
-        if (gameState.timerInterval) clearInterval(gameState.timerInterval);
+        this.clearGameTimers(gameState);
 
         // Separate solved and failed players
-        const solvedPlayers = gameState.players
-            .filter(p => p.isSolved)
-            .sort((a, b) => {
-                // First by solve time (faster = better)
-                if (a.solveTime !== b.solveTime) {
-                    return a.solveTime - b.solveTime;
-                }
-                // Then by attempts (fewer = better)
-                return a.solveAttempts - b.solveAttempts;
-            });
+        const solvedPlayers = sortSolvedPlayers(
+            gameState.players.filter(p => p.isSolved),
+            gameState.rankingMode
+        );
 
         // Handle players who are still active when game ends (timer expired)
         const activePlayers = gameState.players.filter(p => p.status === 'active' && !p.isSolved);
@@ -740,11 +2314,11 @@ class GameSocketHandler {
             player.status = 'failed';
             player.failedTime = Date.now() - gameState.gameStartTime;
             player.solveTime = player.failedTime;
-            player.solveAttempts = player.guesses.length || 6;
+            player.solveAttempts = player.guesses.length || gameState.maxAttempts;
         });
 
         const failedPlayers = gameState.players
-            .filter(p => !p.isSolved && (p.status === 'failed' || p.guesses.length >= 6))
+            .filter(p => !p.isSolved && (p.status === 'failed' || p.guesses.length >= gameState.maxAttempts))
             .sort((a, b) => {
                 // Rank failed players by time (longer time = better, since they tried longer)
                 // If both failed, the one who took longer gets a better rank
@@ -830,42 +2404,388 @@ class GameSocketHandler {
                 status: player.status || (player.isSolved ? 'solved' : 'failed'),
                 solveTime: timeUsed,
                 solveAttempts: player.solveAttempts || player.guesses.length,
+                score: player.score || 0,
+                hardMode: player.hardMode || false,
                 timeFormatted: timeUsed ? this.formatTime(timeUsed) : '0s'
             };
         });
 
-        gameState.gameStatus = 'finished';
         gameState.leaderboard = leaderboard;
 
-        // Save game to database
-        this.saveGameToDatabase(gameState);
+        // Save the round to the database (player stats are recorded once per match, in endMatch)
+        // gameId is set once saved and stored right away, so a round resumed
+        // after a restart isn't saved twice
+        if (!gameState.gameId) {
+            await this.saveGameToDatabase(gameState);
+            this.saveGameState(roomId);
+        }
+
+        // Add this round to the cumulative match standings
+        leaderboard.forEach(entry => {
+            const standing = gameState.standings[entry.playerId];
+            if (standing) addRoundToStanding(standing, entry);
+        });
+        const standings = rankStandings(Object.values(gameState.standings), gameState.rankingMode)
+            .map(standing => ({ ...standing, timeFormatted: this.formatTime(standing.totalSolveTime) }));
+        const isLastRound = gameState.currentRound >= gameState.totalRounds;
+
+        console.log(`🏁 Round ${gameState.currentRound} ended in room ${roomId} - Leaderboard:`, leaderboard);
+
+        this.io.to(roomId).emit('round-ended', {
+            round: gameState.currentRound,
+            totalRounds: gameState.totalRounds,
+            leaderboard,
+            standings,
+            targetWord: gameState.targetWord,
+            gameId: gameState.gameId || null,
+            nextRoundIn: isLastRound ? null : gameState.intermissionTime,
+            message: `Round ${gameState.currentRound} of ${gameState.totalRounds} completed!`
+        });
+
+        if (!isLastRound) {
+            this.startIntermission(roomId);
+            return;
+        }
+
+        await this.endMatch(roomId, standings);
+    }
+
+    /**
+     * End the match and send the match-level leaderboard
+     * Player stats and skill ratings move once per match, from the final standings
+     * @param {string} roomId - Room ID
+     * @param {Array} standings - Ranked cumulative standings
+     */
+    async endMatch(roomId, standings) {
+        const gameState = this.activeGames.get(roomId);
+        if (!gameState) return;
+
+        statsService.recordGameResults(standings);
+
+        // Update skill ratings from the match standings and show the change on them
+        const ratingChanges = await ratingService.recordGameRatings(standings, {
+            gameId: gameState.gameId,
+            matchId: gameState.matchId
+        });
+        standings.forEach(entry => {
+            const ratingChange = ratingChanges.get(entry.playerId);
+            if (ratingChange) {
+                entry.rating = ratingChange.rating;
+                entry.ratingChange = ratingChange.change;
+            }
+        });
+
+        gameState.gameStatus = 'finished';
+        gameState.finishedAt = Date.now();
+        this.setRoomStatus(roomId, 'waiting');
 
         // Notify all players with complete leaderboard
         const gameEndedData = {
-            leaderboard,
+            leaderboard: standings,
+            roundLeaderboard: gameState.leaderboard,
+            totalRounds: gameState.totalRounds,
             targetWord: gameState.targetWord,
+            gameId: gameState.gameId || null,
+            matchId: gameState.matchId,
             message: 'Game completed! All players have finished.',
             gameState: {
                 targetWord: gameState.targetWord,
-                category: gameState.category
+                category: gameState.category,
+                rankingMode: gameState.rankingMode,
+                totalRounds: gameState.totalRounds
             },
             canRestart: true // Allow owner to restart
         };
         
-        console.log(`🏁 Game ended in room ${roomId} - Leaderboard:`, leaderboard);
+        console.log(`🏁 Match ended in room ${roomId} - Standings:`, standings);
         console.log(`🔄 Sending game-ended with canRestart:`, gameEndedData.canRestart);
         
         this.io.to(roomId).emit('game-ended', gameEndedData);
 
-        // Keep game state for 5 minutes to allow restart, then clean up
-        setTimeout(() => {
-            const currentState = this.activeGames.get(roomId);
-            // Only delete if game is still finished (not restarted)
-            if (currentState && currentState.gameStatus === 'finished') {
-                this.activeGames.delete(roomId);
-                console.log(`🧹 Cleaned up finished game state for room ${roomId}`);
+        // Kept for start-again until the cleanup job drops it (see jobs/cleanup.js)
+        this.saveGameState(roomId);
+    }
+
+    /**
+     * Drop finished matches nobody restarted in time (called by the cleanup job)
+     * @param {number} ttlMs - How long a finished match is kept
+     * @param {number} now - Current time (ms)
+     * @returns {Array<string>} - Room IDs whose game was removed
+     */
+    removeFinishedGames(ttlMs, now = Date.now()) {
+        const removed = [];
+        for (const [roomId, gameState] of this.activeGames.entries()) {
+            if (gameState.gameStatus === 'finished' && now - (gameState.finishedAt || 0) >= ttlMs) {
+                this.removeGame(roomId);
+                removed.push(roomId);
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Forget sockets that are no longer connected to this instance, expired
+     * invites and idle chat rate limits (called by the cleanup job)
+     * Disconnect handlers normally do this; relayed sockets from other
+     * instances and failed handlers leave entries behind
+     * @param {number} now - Current time (ms)
+     * @returns {number} - Number of entries removed
+     */
+    pruneSocketMaps(now = Date.now()) {
+        const connected = this.io.sockets.sockets;
+        let removed = 0;
+
+        for (const [playerId, socketId] of this.playerSockets.entries()) {
+            if (!connected.has(socketId)) {
+                this.playerSockets.delete(playerId);
+                removed++;
+            }
+        }
+
+        for (const [roomId, socketSet] of this.roomSockets.entries()) {
+            for (const socketId of socketSet) {
+                if (!connected.has(socketId)) {
+                    socketSet.delete(socketId);
+                    removed++;
+                }
+            }
+            if (socketSet.size === 0) this.roomSockets.delete(roomId);
+        }
+
+        for (const [key, invite] of this.roomInvites.entries()) {
+            if (invite.expiresAt <= now) {
+                this.roomInvites.delete(key);
+                removed++;
+            }
+        }
+
+        return removed + chatService.pruneRateLimits(now);
+    }
+
+    /**
+     * Delete a room with its game, chat history and invites
+     * @param {string} roomId - Room ID
+     */
+    async deleteRoom(roomId) {
+        await Room.deleteOne({ roomId });
+        this.removeGame(roomId);
+        chatService.clearRoom(roomId);
+        this.roomSockets.delete(roomId);
+        for (const key of this.roomInvites.keys()) {
+            if (key.startsWith(`${roomId}:`)) this.roomInvites.delete(key);
+        }
+    }
+
+    /**
+     * Persist a room's game state after changing it (errors are only logged)
+     * @param {string} roomId - Room ID
+     */
+    saveGameState(roomId) {
+        this.activeGames.save(roomId).catch(error => {
+            console.error(`Error saving game state for room ${roomId}:`, error);
+        });
+    }
+
+    /**
+     * Load games saved before a restart and rebuild their timers from the
+     * stored deadlines. Players get the usual reconnect grace period to
+     * rejoin; rooms left 'in-game' without a game go back to 'waiting'.
+     * @returns {Promise<number>} - Number of games restored on this instance
+     */
+    async restoreGames() {
+        const gameStates = await this.activeGames.load();
+        const restored = await this.adoptGames(gameStates);
+
+        await Room.updateMany(
+            { status: 'in-game', roomId: { $nin: gameStates.map(gameState => gameState.roomId) } },
+            { $set: { status: 'waiting' } }
+        );
+
+        return restored;
+    }
+
+    /**
+     * Take over loaded games whose room lock is free; games that another
+     * instance is running are dropped from this instance's memory
+     * @param {Array<Object>} gameStates - Game states loaded from the store
+     * @returns {Promise<number>} - Number of games now running here
+     */
+    async adoptGames(gameStates) {
+        let adopted = 0;
+
+        for (const gameState of gameStates) {
+            const { roomId } = gameState;
+            try {
+                if (!(await this.roomLock.acquire(roomId))) {
+                    this.activeGames.evict(roomId);
+                    continue;
+                }
+                await this.resumeGame(gameState);
+                adopted += 1;
+            } catch (error) {
+                console.error(`Error restoring game in room ${roomId}:`, error);
+                this.removeGame(roomId);
+            }
+        }
+
+        if (adopted > 0) {
+            console.log(`♻️ Restored ${adopted} game(s) from the state store`);
+        }
+        return adopted;
+    }
+
+    /**
+     * Keep this instance's room locks alive and take over games left behind
+     * by instances that stopped (only with a shared room lock)
+     */
+    startLockHeartbeat() {
+        if (!this.roomLock.shared || this.lockHeartbeat) return;
+
+        this.lockHeartbeat = setInterval(async () => {
+            try {
+                await this.roomLock.renewAll();
+                // Only games whose lock lapsed - live games of other instances stay in the store
+                const lockedRoomIds = await this.roomLock.getLockedRoomIds();
+                await this.adoptGames(await this.activeGames.load({ exclude: lockedRoomIds }));
+            } catch (error) {
+                console.error('Room lock heartbeat error:', error);
+            }
+        }, ROOM_LOCK_CONFIG.renewIntervalMs);
+    }
+
+    /**
+     * Stop renewing room locks (on shutdown - other instances take the games over)
+     */
+    stopLockHeartbeat() {
+        if (this.lockHeartbeat) {
+            clearInterval(this.lockHeartbeat);
+            this.lockHeartbeat = null;
+        }
+    }
+
+    /**
+     * Socket middleware: hand an event about a room to the instance that runs
+     * the room's game, so there is only ever one copy of a live game
+     * Events for rooms without a game (or with a single instance) run here
+     * @param {Object} socket - Socket the event arrived on
+     * @param {Array} packet - [event, data]
+     * @param {Function} next - Continue with the local handlers
+     */
+    routeRoomEvent(socket, [event, data], next) {
+        if (!this.roomLock.shared || typeof data?.roomId !== 'string') return next();
+
+        this.roomLock.getOwner(data.roomId)
+            .then(ownerId => {
+                if (!ownerId || ownerId === this.roomLock.nodeId) return next();
+
+                this.io.serverSideEmit('room-event', {
+                    ownerId,
+                    event,
+                    data,
+                    socket: {
+                        id: socket.id,
+                        playerId: socket.playerId,
+                        username: socket.username,
+                        rooms: [...socket.rooms]
+                    }
+                });
+            })
+            .catch(next);
+    }
+
+    /**
+     * Run an event relayed by another instance, if this instance runs the room
+     * @param {Object} relayed - { ownerId, event, data, socket }
+     */
+    handleRelayedRoomEvent({ ownerId, event, data, socket }) {
+        if (ownerId !== this.roomLock.nodeId) return;
+
+        const remoteSocket = this.createRemoteSocket(socket);
+        this.bindSocketEvents(remoteSocket);
+        remoteSocket.handlers.get(event)?.(data);
+    }
+
+    /**
+     * Stand-in for a socket connected to another instance, good enough for
+     * the game handlers: emits and room changes go through the adapter
+     * @param {Object} info - { id, playerId, username, rooms }
+     * @returns {Object} - Socket-like object (handlers registered with on())
+     */
+    createRemoteSocket({ id, playerId, username, rooms }) {
+        const remoteSocket = {
+            id,
+            playerId,
+            username,
+            rooms: new Set(rooms),
+            data: { playerId, username },
+            handlers: new Map(),
+            on: (event, handler) => remoteSocket.handlers.set(event, handler),
+            emit: (event, payload) => this.io.to(id).emit(event, payload),
+            to: (room) => this.io.to(room).except(id),
+            join: (room) => {
+                remoteSocket.rooms.add(room);
+                this.io.in(id).socketsJoin(room);
+            },
+            leave: (room) => {
+                remoteSocket.rooms.delete(room);
+                this.io.in(id).socketsLeave(room);
+            }
+        };
+        return remoteSocket;
+    }
+
+    /**
+     * Rooms a socket is playing in and spectating, from its Socket.IO channels
+     * @param {Object} socket - Socket
+     * @returns {Object} - { playing: [roomId], spectating: [roomId] }
+     */
+    getRoomMemberships(socket) {
+        // Room channels are bare room IDs; lobby, player and spectator channels aren't
+        const roomIds = [...socket.rooms].filter(room =>
+            room !== socket.id && room !== LOBBY_CHANNEL && !room.includes(':')
+        );
+        return {
+            playing: roomIds.filter(roomId => !socket.rooms.has(spectatorChannel(roomId))),
+            spectating: roomIds.filter(roomId => socket.rooms.has(spectatorChannel(roomId)))
+        };
+    }
+
+    /**
+     * Restart the timers of a game loaded from the store
+     * @param {Object} gameState - Loaded game state
+     */
+    async resumeGame(gameState) {
+        const { roomId } = gameState;
+
+        switch (gameState.gameStatus) {
+            case 'countdown':
+                this.startCountdown(roomId, Math.max(1, Math.ceil((gameState.countdownEndsAt - Date.now()) / 1000)));
+                break;
+            case 'round-over':
+                // Stopped while ending the round - end it again (the Game
+                // record isn't written again if gameId shows it was saved)
+                gameState.gameStatus = 'active';
+                this.endGame(roomId);
+                break;
+            case 'active':
+                this.startGameTimer(roomId);
+                break;
+            case 'intermission':
+                this.startIntermission(roomId, gameState.intermissionEndsAt);
+                break;
+            case 'finished':
+                return; // Nobody is playing - the cleanup job drops it once it expires
+            default:
+                this.removeGame(roomId);
+                return;
+        }
+
+        // Players who dropped with the old server get the grace period to come back
+        for (const player of gameState.players) {
+            if (!(await this.isOnline(player.playerId))) {
+                this.schedulePendingRemoval(roomId, player.playerId, player.username);
             }
-        }, 300000); // 5 minutes
+        }
     }
 
     /**
@@ -885,17 +2805,23 @@ class GameSocketHandler {
     }
 
     /**
-     * Calculate score based on attempts and time
+     * Calculate score based on attempts, time remaining and solve order
      * @param {number} attempts - Number of attempts used
-     * @param {number} timeBonus - Time bonus in milliseconds
+     * @param {number} timeRemaining - Time left on the clock in milliseconds
+     * @param {number} solveOrder - 1 for the first solver, 2 for the second, ...
      * @returns {number} - Calculated score
      */
-    calculateScore(attempts, timeBonus) {
-        const baseScore = 1000;
-        const attemptPenalty = (attempts - 1) * 100;
-        const timeBonusPoints = Math.floor(timeBonus / 1000); // 1 point per second
-        
-        return Math.max(0, baseScore - attemptPenalty + timeBonusPoints);
+    calculateScore(attempts, timeRemaining, solveOrder) {
+        return calculateScore({ attempts, timeRemaining, solveOrder });
+    }
+
+    /**
+     * Build the error message for an unknown ranking mode
+     * @param {string} mode - The requested ranking mode
+     * @returns {string} - Error message listing the valid modes
+     */
+    unknownRankingModeMessage(mode) {
+        return `Unknown ranking mode '${mode}'. Available modes: ${Object.keys(RANKING_MODES).join(', ')}`;
     }
 
     /**
@@ -905,30 +2831,7 @@ class GameSocketHandler {
      * @returns {Array} - Feedback array (0=wrong, 1=wrong position, 2=correct)
      */
     generateWordFeedback(guess, target) {
-        const feedback = new Array(5).fill(0);
-        const targetLetters = target.split('');
-        const guessLetters = guess.split('');
-        
-        // First pass: mark correct letters
-        for (let i = 0; i < 5; i++) {
-            if (guessLetters[i] === targetLetters[i]) {
-                feedback[i] = 2;
-                targetLetters[i] = null; // Mark as used
-            }
-        }
-        
-        // Second pass: mark wrong position letters
-        for (let i = 0; i < 5; i++) {
-            if (feedback[i] === 0) {
-                const letterIndex = targetLetters.indexOf(guessLetters[i]);
-                if (letterIndex !== -1) {
-                    feedback[i] = 1;
-                    targetLetters[letterIndex] = null; // Mark as used
-                }
-            }
-        }
-        
-        return feedback;
+        return generateWordFeedback(guess, target);
     }
 
     /**
@@ -939,23 +2842,12 @@ class GameSocketHandler {
         const gameState = this.activeGames.get(roomId);
         if (!gameState) return;
 
-        // Sort solved players by solve time and attempts
-        const solvedPlayers = gameState.players
-            .filter(p => p.isSolved)
-            .sort((a, b) => {
-                if (a.solveTime !== b.solveTime) {
-                    return a.solveTime - b.solveTime;
-                }
-                return a.solveAttempts - b.solveAttempts;
-            });
-
-        const unsolvedPlayers = gameState.players.filter(p => !p.isSolved);
-
         // Build leaderboard with all player info
-        const solved = gameState.players.filter(p => p.isSolved).sort((a, b) => {
-            if (a.solveTime !== b.solveTime) return a.solveTime - b.solveTime;
-            return a.solveAttempts - b.solveAttempts;
-        });
+        // Solved players are ordered by the room's ranking mode
+        const solved = sortSolvedPlayers(
+            gameState.players.filter(p => p.isSolved),
+            gameState.rankingMode
+        );
         
         const failed = gameState.players.filter(p => !p.isSolved && p.status === 'failed').sort((a, b) => {
             const timeA = a.failedTime || a.solveTime || 0;
@@ -1003,27 +2895,22 @@ class GameSocketHandler {
                 solveTime: timeUsed,
                 solveAttempts: player.solveAttempts || player.guesses.length,
                 currentAttempts: player.guesses.length,
+                score: player.score || 0,
+                hardMode: player.hardMode || false,
                 timeFormatted: timeUsed ? this.formatTime(timeUsed) : null
             };
         });
         
-        // Also include player status for all players
-        const playerStatuses = gameState.players.map(player => ({
-            playerId: player.playerId,
-            username: player.username,
-            status: player.status || 'active',
-            guesses: player.guesses.length,
-            isSolved: player.isSolved,
-            solveTime: player.solveTime,
-            solveAttempts: player.solveAttempts
-        }));
-
         gameState.leaderboard = leaderboard;
 
-        // Send live leaderboard update with player statuses
-        this.io.to(roomId).emit('leaderboard-update', {
-            leaderboard,
-            playerStatuses
+        // Send live leaderboard update with player statuses (and each player's own board)
+        this.emitPerRecipient(roomId, 'leaderboard-update', (viewerId) => {
+            const view = serializeGameState(gameState, viewerId);
+            return {
+                leaderboard: view.leaderboard,
+                playerStatuses: view.players,
+                you: view.you
+            };
         });
     }
 
@@ -1033,15 +2920,46 @@ class GameSocketHandler {
      */
     async saveGameToDatabase(gameState) {
         try {
+            const leaderboardById = new Map(
+                gameState.leaderboard.map(entry => [entry.playerId, entry])
+            );
+
             const game = new Game({
-                round: '1',
-                state: 'completed',
-                scores: gameState.leaderboard,
-                players: gameState.players.map(p => p.playerId),
-                createdAt: new Date()
+                roomId: gameState.roomId,
+                matchId: gameState.matchId,
+                round: gameState.currentRound,
+                totalRounds: gameState.totalRounds,
+                category: gameState.category,
+                categoryKey: gameState.categoryKey,
+                rankingMode: gameState.rankingMode,
+                targetWord: gameState.targetWord,
+                startedAt: new Date(gameState.gameStartTime),
+                endedAt: new Date(),
+                timeLimit: gameState.timeLimit,
+                players: gameState.players
+                    .filter(p => mongoose.Types.ObjectId.isValid(p.playerId))
+                    .map(p => {
+                        const entry = leaderboardById.get(p.playerId) || {};
+                        return {
+                            player: p.playerId,
+                            username: entry.username || p.username,
+                            guesses: (p.guessHistory || []).map(g => ({
+                                word: g.word,
+                                feedback: g.feedback,
+                                timestamp: new Date(g.timestamp)
+                            })),
+                            rank: entry.rank ?? p.rank,
+                            outcome: p.isSolved ? 'solved' : 'failed',
+                            solveTime: entry.solveTime ?? p.solveTime,
+                            solveAttempts: entry.solveAttempts ?? p.solveAttempts,
+                            score: entry.score ?? p.score,
+                            hardMode: p.hardMode || false
+                        };
+                    })
             });
 
             await game.save();
+            gameState.gameId = game._id.toString();
             console.log(`💾 Game saved to database: ${game._id}`);
         } catch (error) {
             console.error('Error saving game to database:', error);
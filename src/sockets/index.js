@@ -1,6 +1,9 @@
 import { Server } from 'socket.io';
 import http from 'http';
 import GameSocketHandler from './game.socket.js';
+import socketAuth from '../middlewares/socketAuth.middleware.js';
+import { createSocketAdapter } from './adapter.js';
+import CleanupJob from '../jobs/cleanup.js';
 
 /**
  * SOCKET.IO SERVER SETUP AND CONFIGURATION
@@ -23,6 +26,7 @@ class SocketServer {
         this.server = null;
         this.io = null;
         this.gameHandler = null;
+        this.cleanupJob = null;
         
         this.initializeSocketServer();
     }
@@ -63,15 +67,42 @@ class SocketServer {
             logLevel: 'info'       // Log level for debugging
         });
 
+        // Reject sockets without a valid JWT before any handler runs
+        this.io.use(socketAuth);
+
         // Setup connection handling
         this.setupConnectionHandlers();
         
         // Initialize game handler
         this.gameHandler = new GameSocketHandler(this.io);
+
+        // Periodically drop stale rooms, finished games and dead sockets
+        this.cleanupJob = new CleanupJob(this.gameHandler);
+
+        // Let REST controllers broadcast to rooms (req.app.get('io'))
+        this.app.set('io', this.io);
+        // ... and reach players/presence (req.app.get('gameHandler'))
+        this.app.set('gameHandler', this.gameHandler);
         
         console.log('🚀 Socket.IO server initialized');
     }
 
+    /**
+     * Switch to the adapter picked by SOCKET_ADAPTER (needs the database connection)
+     * With the MongoDB adapter, room broadcasts reach sockets on every instance
+     */
+    async setupAdapter() {
+        const adapter = await createSocketAdapter();
+        if (!adapter) return;
+
+        this.io.adapter(adapter);
+        console.log('🔗 Socket.IO MongoDB adapter enabled - running as one of several instances');
+
+        if (process.env.GAME_STATE_STORE !== 'mongo') {
+            console.warn('⚠️ SOCKET_ADAPTER=mongo without GAME_STATE_STORE=mongo: games of a stopped instance cannot be taken over');
+        }
+    }
+
     /**
      * Setup connection event handlers
      * This handles when clients connect/disconnect
@@ -84,7 +115,7 @@ class SocketServer {
             // Log connection details
             this.logConnectionDetails(socket);
             
-            // Handle authentication (optional but recommended)
+            // Handle authentication
             this.handleAuthentication(socket);
             
             // Handle disconnection
@@ -107,41 +138,21 @@ class SocketServer {
 
     /**
      * Handle client authentication
-     * This is where you can validate JWT tokens or session data
+     * The JWT is verified during the handshake (see socketAuth middleware),
+     * so this only confirms the identity bound to the socket
      * @param {Object} socket - Socket instance
      */
     handleAuthentication(socket) {
-        // Listen for authentication event
-        socket.on('authenticate', async (data) => {
-            try {
-                const { token, playerId } = data;
-                
-                // Here you would validate the JWT token
-                // For now, we'll just store the playerId
-                if (playerId) {
-                    socket.playerId = playerId;
-                    socket.authenticated = true;
-                    
-                    socket.emit('authenticated', {
-                        success: true,
-                        message: 'Authentication successful',
-                        playerId: playerId
-                    });
-                    
-                    console.log(`✅ Player authenticated: ${playerId}`);
-                } else {
-                    socket.emit('authentication-failed', {
-                        success: false,
-                        message: 'Invalid authentication data'
-                    });
-                }
-            } catch (error) {
-                console.error('Authentication error:', error);
-                socket.emit('authentication-failed', {
-                    success: false,
-                    message: 'Authentication failed'
-                });
-            }
+        console.log(`✅ Player authenticated: ${socket.playerId}`);
+
+        // Kept for clients that still emit 'authenticate' after connecting
+        socket.on('authenticate', () => {
+            socket.emit('authenticated', {
+                success: true,
+                message: 'Authentication successful',
+                playerId: socket.playerId,
+                username: socket.username
+            });
         });
     }
 
@@ -211,6 +222,14 @@ class SocketServer {
         return this.gameHandler;
     }
 
+    /**
+     * Get the cleanup job (started by the entry point)
+     * @returns {Object} Cleanup job
+     */
+    getCleanupJob() {
+        return this.cleanupJob;
+    }
+
     /**
      * Start the socket server
      * @param {number} port - Port to listen on
@@ -231,6 +250,10 @@ class SocketServer {
      */
     async shutdown() {
         console.log('🛑 Shutting down socket server...');
+
+        // Let other instances take over this instance's games
+        this.gameHandler.stopLockHeartbeat();
+        this.cleanupJob.stop();
         
         // Close all socket connections
         this.io.close(() => {
@@ -293,40 +316,102 @@ class SocketServer {
  * CLIENT TO SERVER EVENTS (what frontend sends):
  * 
  * Authentication:
- * - 'authenticate' - Send JWT token for authentication
+ * - Send the JWT as `auth: { token }` when connecting; sockets without a
+ *   valid token are rejected with a connect_error
+ * - 'authenticate' - Confirm the identity bound to the socket
  * 
  * Room Management:
- * - 'join-room' - Join a game room
+ * - 'join-room' - Join a game room, with the password if it has one (also resumes a game after a reconnect)
  * - 'leave-room' - Leave a game room
+ * - 'spectate-room' - Watch a room without playing ('leave-room' to stop)
+ * - 'update-settings' - Change room settings (room owner only)
+ * - 'kick-player' / 'ban-player' / 'unban-player' - Moderate the room (room owner only)
+ * - 'transfer-ownership' - Make another player the owner (room owner only)
+ * - 'lock-room' - Stop or allow new players joining (room owner only)
+ * 
+ * Lobby:
+ * - 'lobby-subscribe' - Receive the open public rooms now and on every change
+ * - 'lobby-unsubscribe' - Stop receiving lobby updates
+ * 
+ * Chat:
+ * - 'chat-message' - Send a message to your room (rate limited, filtered)
+ * - 'chat-reaction' - Toggle an emoji reaction on a message
+ * 
+ * Friends:
+ * - 'invite-to-room' - Invite an online friend to your room
+ * - 'decline-invite' - Turn down a room invite (accept by sending 'join-room')
+ * 
+ * Matchmaking:
+ * - 'queue-join' - Look for a public match (optional category/settings filters)
+ * - 'queue-leave' - Cancel matchmaking
  * 
  * Game Management:
- * - 'start-game' - Start a new game (room owner only)
+ * - 'set-ready' - Ready up (or not) for the next game
+ * - 'start-game' - Start a new game once everyone is ready, or with force (room owner only)
  * - 'submit-word' - Submit a word guess
+ * - 'set-hard-mode' - Opt in/out of hard mode (before your first guess of a round)
  * - 'get-game-state' - Get current game state
  * - 'get-leaderboard' - Get current leaderboard
  * 
  * SERVER TO CLIENT EVENTS (what backend sends):
  * 
  * Authentication:
- * - 'authenticated' - Authentication successful
- * - 'authentication-failed' - Authentication failed
+ * - 'authenticated' - Identity bound to the socket
  * 
  * Room Management:
  * - 'room-joined' - Successfully joined room
  * - 'player-joined' - Another player joined
  * - 'player-left' - A player left
- * - 'player-disconnected' - A player disconnected
+ * - 'player-reconnecting' - A player dropped; their seat is held for a grace period
+ * - 'player-reconnected' - A player came back within the grace period
+ * - 'player-disconnected' - A player's grace period expired and they were removed
+ * - 'settings-updated' - Room settings changed
+ * - 'owner-changed' - Room has a new owner
+ * - 'player-kicked' / 'player-banned' / 'player-unbanned' - Owner moderated the room
+ * - 'kicked' / 'banned' - You were removed from the room
+ * - 'room-locked' - Room was locked or unlocked
+ * - 'room-spectating' - Now spectating (room and current game state)
+ * - 'spectator-joined' / 'spectator-left' - Spectator list changed
+ * - 'spectating-disabled' - Owner turned spectating off
+ * 
+ * Lobby:
+ * - 'lobby-list' - Open public rooms (same entries as GET /api/rooms)
+ * 
+ * Chat:
+ * - 'chat-message' - New message in your room (room-joined/room-spectating include recent history)
+ * - 'chat-reaction-updated' - A message's reactions changed
+ * - 'chat-rejected' - Your message was not sent (rate limit)
+ * 
+ * Friends:
+ * - 'friend-request' - Someone sent you a friend request
+ * - 'friend-request-accepted' - Someone accepted your friend request
+ * - 'room-invite' - A friend invited you to their room (join without the password)
+ * - 'invite-sent' - Your invite was delivered
+ * - 'invite-declined' - A friend declined your invite
+ * 
+ * Matchmaking:
+ * - 'queue-joined' - Waiting in the queue (rating band, timeout)
+ * - 'queue-left' - Left the queue (cancelled, or already in a room when a match was found)
+ * - 'queue-timeout' - No match found in time
+ * - 'match-found' - Matched into a new room (game starts after a countdown)
  * 
  * Game Management:
+ * - 'ready-updated' - A player readied up or un-readied
+ * - 'game-countdown' - Seconds until the game starts (the round clock starts at zero)
  * - 'game-started' - Game has started
- * - 'game-ended' - Game has ended
- * - 'round-ended' - Current round ended
+ * - 'game-ended' - Match has ended (match-level leaderboard)
+ * - 'round-ended' - Current round ended (round and cumulative standings)
+ * - 'intermission-update' - Countdown to the next round
  * - 'word-solved' - A player solved the word
  * - 'word-feedback' - Feedback for word guess
+ * - 'opponent-feedback' - Colour-only feedback for another player's guess
+ * - 'invalid-word' - Guess rejected: not in the word list or breaks hard mode (attempt not used)
+ * - 'hard-mode-updated' - A player turned hard mode on or off
  * - 'player-failed' - Player used all attempts
  * - 'timer-update' - Round timer update
  * - 'leaderboard' - Current leaderboard
- * - 'game-state' - Current game state
+ * - 'leaderboard-update' - Live leaderboard, player progress and your own board
+ * - 'game-state' - Current game state as seen by you (target word hidden until the round ends)
  * 
  * Error Handling:
  * - 'error' - Error message
@@ -0,0 +1,92 @@
+/**
+ * GAME STATE SERIALIZER
+ *
+ * Builds the view of an in-memory game state that a single recipient is
+ * allowed to see. The raw state holds the target word, every player's
+ * guesses and Node timer handles, so it must never be emitted as-is.
+ *
+ * - The recipient sees their own guesses and feedback
+ * - Opponents show progress and a colour-only feedback grid, never letters
+ * - The target word is only included once the round has ended
+ */
+
+/**
+ * Summarize a player's progress without revealing their guesses
+ * @param {Object} player - Player from gameState.players
+ * @returns {Object} - Progress summary
+ */
+export function serializePlayerSummary(player) {
+    return {
+        playerId: player.playerId,
+        username: player.username,
+        status: player.status || 'active',
+        isSolved: player.isSolved || false,
+        attempts: player.guesses?.length || 0,
+        solveTime: player.solveTime ?? null,
+        solveAttempts: player.solveAttempts ?? null,
+        score: player.score || 0,
+        hardMode: player.hardMode || false
+    };
+}
+
+/**
+ * Build a player's board without letters (feedback colours only)
+ * @param {Object} player - Player from gameState.players
+ * @returns {Array<Array<number>>} - One feedback row per guess
+ */
+export function serializeFeedbackGrid(player) {
+    return (player.guessHistory || []).map(({ feedback }) => feedback);
+}
+
+/**
+ * Build the recipient's own board
+ * @param {Object} gameState - Game state
+ * @param {Object} player - Player from gameState.players
+ * @returns {Object} - Own guesses with feedback and remaining attempts
+ */
+function serializeOwnBoard(gameState, player) {
+    const attempts = player.guesses?.length || 0;
+    return {
+        ...serializePlayerSummary(player),
+        guesses: (player.guessHistory || []).map(({ word, feedback }) => ({ word, feedback })),
+        remainingAttempts: gameState.maxAttempts - attempts
+    };
+}
+
+/**
+ * Build the game state a single recipient is allowed to see
+ * @param {Object} gameState - Game state from activeGames
+ * @param {string|null} viewerId - Player ID of the recipient (spectators aren't in gameState.players)
+ * @returns {Object} - Recipient-specific game state
+ */
+export function serializeGameState(gameState, viewerId = null) {
+    const viewer = viewerId
+        ? gameState.players.find(p => p.playerId === viewerId)
+        : null;
+    const timeLeft = gameState.gameStatus === 'active'
+        ? Math.max(0, gameState.timeLimit - (Date.now() - gameState.gameStartTime))
+        : null;
+
+    return {
+        roomId: gameState.roomId,
+        matchId: gameState.matchId,
+        category: gameState.category,
+        rankingMode: gameState.rankingMode,
+        wordLength: gameState.wordLength,
+        maxAttempts: gameState.maxAttempts,
+        round: gameState.currentRound,
+        totalRounds: gameState.totalRounds,
+        gameStatus: gameState.gameStatus,
+        gameStartTime: gameState.gameStartTime,
+        timeLimit: gameState.timeLimit,
+        timeLeft,
+        targetWord: gameState.wordRevealed ? gameState.targetWord : null,
+        you: viewer ? serializeOwnBoard(gameState, viewer) : null,
+        players: gameState.players.map(player => ({
+            ...serializePlayerSummary(player),
+            board: serializeFeedbackGrid(player)
+        })),
+        hardMode: gameState.hardMode || false,
+        leaderboard: gameState.leaderboard || []
+    };
+}
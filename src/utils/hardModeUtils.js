@@ -0,0 +1,61 @@
+/**
+ * HARD MODE
+ *
+ * NYT-style hard mode rules, checked against a player's earlier guesses
+ * in the current round:
+ * - Green letters must stay in the same position
+ * - Yellow letters must be used again (anywhere)
+ *
+ * Feedback values follow generateWordFeedback: 2 = green, 1 = yellow, 0 = grey.
+ */
+
+/**
+ * Turn a 1-based position into "1st", "2nd", "3rd", ...
+ * @param {number} n - Position
+ * @returns {string} - Ordinal
+ */
+function ordinal(n) {
+    const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+    return `${n}${(n % 100 >= 11 && n % 100 <= 13) ? 'th' : (suffixes[n % 10] || 'th')}`;
+}
+
+/**
+ * Count how many times each letter appears in a string
+ * @param {Array<string>} letters - Letters to count
+ * @returns {Object} - letter -> count
+ */
+function countLetters(letters) {
+    return letters.reduce((counts, letter) => {
+        counts[letter] = (counts[letter] || 0) + 1;
+        return counts;
+    }, {});
+}
+
+/**
+ * Check a guess against the hard mode rules
+ * @param {string} guess - Uppercase guess
+ * @param {Array<Object>} guessHistory - Earlier guesses this round ({ word, feedback })
+ * @returns {string|null} - Message naming the violated rule, or null if the guess is allowed
+ */
+export function checkHardModeGuess(guess, guessHistory = []) {
+    for (const { word, feedback } of guessHistory) {
+        // Greens first: a revealed letter must stay in place
+        for (let i = 0; i < feedback.length; i++) {
+            if (feedback[i] === 2 && guess[i] !== word[i]) {
+                return `${ordinal(i + 1)} letter must be ${word[i]}`;
+            }
+        }
+
+        // Every revealed letter (green or yellow) must be reused as often as it was revealed
+        const revealed = countLetters(word.split('').filter((_, i) => feedback[i] > 0));
+        const guessCounts = countLetters(guess.split(''));
+        for (const [letter, count] of Object.entries(revealed)) {
+            if ((guessCounts[letter] || 0) < count) {
+                return count > 1
+                    ? `Guess must contain ${letter} ${count} times`
+                    : `Guess must contain ${letter}`;
+            }
+        }
+    }
+    return null;
+}
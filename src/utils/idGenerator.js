@@ -0,0 +1,17 @@
+import crypto from 'crypto';
+
+/**
+ * Generate a unique ID for a match (groups the Game records of its rounds)
+ * @returns {string} - UUID string
+ */
+export function generateMatchId() {
+    return crypto.randomUUID();
+}
+
+/**
+ * Generate a unique ID for a chat message (target for reactions)
+ * @returns {string} - UUID string
+ */
+export function generateMessageId() {
+    return crypto.randomUUID();
+}
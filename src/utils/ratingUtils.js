@@ -0,0 +1,75 @@
+/**
+ * SKILL RATING (multi-player ELO)
+ *
+ * Every game is scored as a set of pairwise matchups between its players,
+ * using the finishing order from the endGame leaderboard:
+ * - the better-ranked player "wins" the pair
+ * - two players who both failed to solve draw
+ *
+ * Each player's change is K * sum(actual - expected) / (N - 1), so a
+ * game's total rating change stays close to zero whatever its size.
+ */
+
+export const RATING_CONFIG = {
+    initialRating: 1200,
+    kFactor: 32,
+    provisionalKFactor: 48, // Moves new players to their level faster
+    provisionalGames: 10,   // Rated games played before the normal K applies
+    scale: 400,
+    historyLength: 100      // Rating history entries kept per player
+};
+
+/**
+ * Probability that a player with rating `a` beats one with rating `b`
+ * @param {number} a - Player rating
+ * @param {number} b - Opponent rating
+ * @param {Object} config - Rating config, defaults to RATING_CONFIG
+ * @returns {number} - Expected score between 0 and 1
+ */
+export function expectedScore(a, b, config = RATING_CONFIG) {
+    return 1 / (1 + Math.pow(10, (b - a) / config.scale));
+}
+
+/**
+ * Actual score of player `a` against player `b` in a finished game
+ * @param {Object} a - Leaderboard entry ({ rank, isSolved })
+ * @param {Object} b - Leaderboard entry ({ rank, isSolved })
+ * @returns {number} - 1 win, 0.5 draw, 0 loss
+ */
+export function actualScore(a, b) {
+    if (!a.isSolved && !b.isSolved) return 0.5;
+    if (a.rank === b.rank) return 0.5;
+    return a.rank < b.rank ? 1 : 0;
+}
+
+/**
+ * Calculate new ratings for everyone in a game
+ * @param {Array<Object>} players - [{ playerId, rank, isSolved, rating, ratedGames }]
+ * @param {Object} config - Rating config, defaults to RATING_CONFIG
+ * @returns {Array<Object>} - [{ playerId, ratingBefore, rating, change }]
+ */
+export function calculateRatingChanges(players, config = RATING_CONFIG) {
+    if (players.length < 2) return [];
+
+    return players.map(player => {
+        const ratingBefore = player.rating ?? config.initialRating;
+        const kFactor = (player.ratedGames || 0) < config.provisionalGames
+            ? config.provisionalKFactor
+            : config.kFactor;
+
+        let delta = 0;
+        for (const opponent of players) {
+            if (opponent === player) continue;
+            const opponentRating = opponent.rating ?? config.initialRating;
+            delta += actualScore(player, opponent) - expectedScore(ratingBefore, opponentRating, config);
+        }
+
+        const change = Math.round(kFactor * delta / (players.length - 1));
+        return {
+            playerId: player.playerId,
+            ratingBefore,
+            rating: ratingBefore + change,
+            change
+        };
+    });
+}
@@ -0,0 +1,140 @@
+/**
+ * ROOM SETTINGS
+ *
+ * Limits, defaults and validation for the per-room settings the owner can
+ * edit (REST `PUT /api/rooms/:roomId/settings` or the `update-settings`
+ * socket event). Game settings apply from the next game started in the room;
+ * turning spectating off applies immediately.
+ */
+
+import { RANKING_MODES } from './scoreUtils.js';
+
+export const MIN_WORD_LENGTH = 4;
+export const MAX_WORD_LENGTH = 7;
+
+export const SETTINGS_LIMITS = {
+    wordLength: { min: MIN_WORD_LENGTH, max: MAX_WORD_LENGTH },
+    maxAttempts: { min: 4, max: 10 },
+    timeLimit: { min: 60, max: 900 }, // seconds
+    maxPlayers: { min: 2, max: 10 }
+};
+
+export const SCORING_MODES = Object.keys(RANKING_MODES);
+
+// Player guess distribution keys: one per possible solve attempt, plus unsolved games
+export const GUESS_DISTRIBUTION_BUCKETS = [
+    ...Array.from({ length: SETTINGS_LIMITS.maxAttempts.max }, (_, i) => String(i + 1)),
+    'fail'
+];
+
+// On/off settings
+export const BOOLEAN_SETTINGS = ['allowSpectators', 'hardMode'];
+
+export const DEFAULT_ROOM_SETTINGS = {
+    wordLength: 5,
+    maxAttempts: 6,
+    timeLimit: 300, // seconds
+    maxPlayers: 7,
+    scoringMode: 'fastest',
+    allowSpectators: true,
+    hardMode: false // Every player must play hard mode
+};
+
+// Who can find a room: public rooms show up in GET /api/rooms, private ones need the code
+export const ROOM_VISIBILITIES = ['public', 'private'];
+export const DEFAULT_VISIBILITY = 'private';
+export const PASSWORD_LIMITS = { min: 4, max: 64 };
+
+/**
+ * Validate a room visibility/password change
+ * A null or empty password removes the password
+ * @param {Object} access - { visibility, password } sent by the client
+ * @returns {Object} - { error } on failure, { updates } with only provided keys on success
+ */
+export function validateRoomAccess(access = {}) {
+    const updates = {};
+
+    if (access.visibility !== undefined) {
+        if (!ROOM_VISIBILITIES.includes(access.visibility)) {
+            return { error: `visibility must be one of: ${ROOM_VISIBILITIES.join(', ')}` };
+        }
+        updates.visibility = access.visibility;
+    }
+
+    if (access.password !== undefined) {
+        if (access.password === null || access.password === '') {
+            updates.password = null;
+        } else if (typeof access.password !== 'string' ||
+            access.password.length < PASSWORD_LIMITS.min ||
+            access.password.length > PASSWORD_LIMITS.max) {
+            return { error: `Password must be between ${PASSWORD_LIMITS.min} and ${PASSWORD_LIMITS.max} characters` };
+        } else {
+            updates.password = access.password;
+        }
+    }
+
+    return { updates };
+}
+
+/**
+ * Fill in defaults for rooms created before a setting existed
+ * @param {Object} settings - Settings from a Room document (may be partial)
+ * @returns {Object} - Complete settings object
+ */
+export function resolveRoomSettings(settings = {}) {
+    const resolved = { ...DEFAULT_ROOM_SETTINGS };
+    for (const key of Object.keys(DEFAULT_ROOM_SETTINGS)) {
+        if (settings?.[key] !== undefined && settings?.[key] !== null) {
+            resolved[key] = settings[key];
+        }
+    }
+    return resolved;
+}
+
+/**
+ * Validate a partial settings update
+ * @param {Object} updates - Settings sent by the client
+ * @param {number} currentPlayers - Players currently in the room
+ * @returns {Object} - { error } on failure, { updates } with only known keys on success
+ */
+export function validateSettingsUpdate(updates, currentPlayers = 0) {
+    if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+        return { error: 'Settings must be an object' };
+    }
+
+    const sanitized = {};
+
+    for (const [key, { min, max }] of Object.entries(SETTINGS_LIMITS)) {
+        if (updates[key] === undefined) continue;
+        const value = updates[key];
+        if (!Number.isInteger(value) || value < min || value > max) {
+            return { error: `${key} must be a whole number between ${min} and ${max}` };
+        }
+        sanitized[key] = value;
+    }
+
+    if (updates.scoringMode !== undefined) {
+        if (!SCORING_MODES.includes(updates.scoringMode)) {
+            return { error: `scoringMode must be one of: ${SCORING_MODES.join(', ')}` };
+        }
+        sanitized.scoringMode = updates.scoringMode;
+    }
+
+    for (const key of BOOLEAN_SETTINGS) {
+        if (updates[key] === undefined) continue;
+        if (typeof updates[key] !== 'boolean') {
+            return { error: `${key} must be true or false` };
+        }
+        sanitized[key] = updates[key];
+    }
+
+    if (sanitized.maxPlayers !== undefined && sanitized.maxPlayers < currentPlayers) {
+        return { error: `maxPlayers cannot be lower than the ${currentPlayers} players already in the room` };
+    }
+
+    if (Object.keys(sanitized).length === 0) {
+        return { error: `No valid settings provided. Allowed: ${[...Object.keys(SETTINGS_LIMITS), 'scoringMode', ...BOOLEAN_SETTINGS].join(', ')}` };
+    }
+
+    return { updates: sanitized };
+}
@@ -0,0 +1,174 @@
+/**
+ * SCORING AND RANKING
+ *
+ * Points scoring for solved words and the ranking modes a room can pick
+ * when starting a game:
+ * - 'fastest': solved players ranked by solve time, then attempts
+ * - 'points':  solved players ranked by score, then solve time
+ *
+ * Failed players always rank below solved players and score 0.
+ */
+
+export const SCORE_CONFIG = {
+    basePoints: 1000,          // Points for solving on the first attempt
+    attemptPenalty: 100,       // Lost for every attempt after the first
+    pointsPerSecondLeft: 1,    // Earned for each second left on the clock
+    orderBonus: [100, 50, 25], // Extra points for 1st, 2nd, 3rd solver
+    firstSolverBonus: 200      // Extra points on top of orderBonus[0]
+};
+
+/**
+ * Calculate the score for a solved word
+ * @param {Object} params
+ * @param {number} params.attempts - Number of attempts used
+ * @param {number} params.timeRemaining - Time left on the clock in milliseconds
+ * @param {number} params.solveOrder - 1 for the first solver, 2 for the second, ...
+ * @param {Object} config - Scoring config, defaults to SCORE_CONFIG
+ * @returns {number} - Calculated score
+ */
+export function calculateScore({ attempts, timeRemaining = 0, solveOrder = null }, config = SCORE_CONFIG) {
+    const attemptPenalty = Math.max(0, attempts - 1) * config.attemptPenalty;
+    const timeBonus = Math.floor(Math.max(0, timeRemaining) / 1000) * config.pointsPerSecondLeft;
+
+    let orderBonus = 0;
+    if (solveOrder) {
+        orderBonus = config.orderBonus[solveOrder - 1] || 0;
+        if (solveOrder === 1) {
+            orderBonus += config.firstSolverBonus;
+        }
+    }
+
+    return Math.max(0, config.basePoints - attemptPenalty + timeBonus + orderBonus);
+}
+
+/**
+ * Compare solved players by solve time (faster = better), then attempts
+ */
+const compareFastest = (a, b) => {
+    if (a.solveTime !== b.solveTime) {
+        return a.solveTime - b.solveTime;
+    }
+    return a.solveAttempts - b.solveAttempts;
+};
+
+/**
+ * Compare solved players by score (higher = better), then solve time
+ */
+const compareByPoints = (a, b) => {
+    if ((b.score || 0) !== (a.score || 0)) {
+        return (b.score || 0) - (a.score || 0);
+    }
+    return compareFastest(a, b);
+};
+
+export const RANKING_MODES = {
+    fastest: compareFastest,
+    points: compareByPoints
+};
+
+export const DEFAULT_RANKING_MODE = 'fastest';
+
+/**
+ * Check whether a ranking mode exists
+ * @param {string} mode - Ranking mode key
+ * @returns {boolean} - True if the mode is available
+ */
+export function isValidRankingMode(mode) {
+    return Object.prototype.hasOwnProperty.call(RANKING_MODES, mode);
+}
+
+/**
+ * Sort solved players for a ranking mode (returns a new array)
+ * @param {Array} players - Solved players
+ * @param {string} mode - Ranking mode key
+ * @returns {Array} - Sorted players, best first
+ */
+export function sortSolvedPlayers(players, mode = DEFAULT_RANKING_MODE) {
+    const compare = RANKING_MODES[mode] || RANKING_MODES[DEFAULT_RANKING_MODE];
+    return [...players].sort(compare);
+}
+
+/**
+ * Create an empty cumulative standing for a multi-round match
+ * @param {Object} player - { playerId, username }
+ * @returns {Object} - Standing with zeroed totals
+ */
+export function createStanding({ playerId, username }) {
+    return {
+        playerId,
+        username,
+        totalScore: 0,
+        roundsPlayed: 0,
+        roundsWon: 0,
+        roundsSolved: 0,
+        totalSolveTime: 0,
+        totalAttempts: 0,
+        guessDistribution: {} // Rounds by guesses used to solve ('fail' = unsolved)
+    };
+}
+
+/**
+ * Add one round's leaderboard entry to a player's standing (mutates it)
+ * @param {Object} standing - Standing from createStanding
+ * @param {Object} entry - Round leaderboard entry
+ */
+export function addRoundToStanding(standing, entry) {
+    standing.roundsPlayed += 1;
+    standing.totalScore += entry.score || 0;
+
+    const bucket = entry.isSolved ? String(entry.solveAttempts) : 'fail';
+    standing.guessDistribution = standing.guessDistribution || {}; // Games saved before this field existed
+    standing.guessDistribution[bucket] = (standing.guessDistribution[bucket] || 0) + 1;
+    if (entry.isSolved) {
+        standing.roundsSolved += 1;
+        standing.totalSolveTime += entry.solveTime || 0;
+        standing.totalAttempts += entry.solveAttempts || 0;
+        if (entry.rank === 1) {
+            standing.roundsWon += 1;
+        }
+    }
+}
+
+/**
+ * Compare standings for the 'fastest' mode: rounds won, rounds solved,
+ * then total solve time (lower = better)
+ */
+const compareStandingsFastest = (a, b) => {
+    if (a.roundsWon !== b.roundsWon) return b.roundsWon - a.roundsWon;
+    if (a.roundsSolved !== b.roundsSolved) return b.roundsSolved - a.roundsSolved;
+    return a.totalSolveTime - b.totalSolveTime;
+};
+
+/**
+ * Compare standings for the 'points' mode: total score, then the 'fastest' order
+ */
+const compareStandingsByPoints = (a, b) => {
+    if (a.totalScore !== b.totalScore) return b.totalScore - a.totalScore;
+    return compareStandingsFastest(a, b);
+};
+
+const STANDING_COMPARATORS = {
+    fastest: compareStandingsFastest,
+    points: compareStandingsByPoints
+};
+
+/**
+ * Rank cumulative standings for a ranking mode
+ * Entries also carry the round leaderboard field names (score, solveTime, ...)
+ * with cumulative values so clients can render either list the same way
+ * @param {Array} standings - Standings from createStanding
+ * @param {string} mode - Ranking mode key
+ * @returns {Array} - New array of ranked standings, best first
+ */
+export function rankStandings(standings, mode = DEFAULT_RANKING_MODE) {
+    const compare = STANDING_COMPARATORS[mode] || STANDING_COMPARATORS[DEFAULT_RANKING_MODE];
+    return [...standings].sort(compare).map((standing, index) => ({
+        ...standing,
+        rank: index + 1,
+        score: standing.totalScore,
+        isSolved: standing.roundsSolved > 0,
+        status: standing.roundsSolved > 0 ? 'solved' : 'failed',
+        solveTime: standing.totalSolveTime,
+        solveAttempts: standing.totalAttempts
+    }));
+}
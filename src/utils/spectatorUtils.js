@@ -0,0 +1,32 @@
+/**
+ * SPECTATORS
+ *
+ * Spectators join the room's Socket.IO channel (so they get timer,
+ * leaderboard and opponent-feedback events) plus a spectator-only channel
+ * so they can be told apart from players and removed together. They are
+ * stored on Room.spectators, never in Room.players or gameState.players.
+ */
+
+/**
+ * Name of the Socket.IO channel for a room's spectators
+ * @param {string} roomId - Room ID
+ * @returns {string} - Channel name
+ */
+export function spectatorChannel(roomId) {
+    return `${roomId}:spectators`;
+}
+
+/**
+ * Tell every spectator of a room that spectating was turned off and
+ * remove their sockets from the room channels
+ * @param {Object} io - Socket.IO server instance
+ * @param {string} roomId - Room ID
+ */
+export function closeSpectating(io, roomId) {
+    const channel = spectatorChannel(roomId);
+    io.to(channel).emit('spectating-disabled', {
+        roomId,
+        message: 'The room owner turned off spectating'
+    });
+    io.in(channel).socketsLeave([roomId, channel]);
+}
@@ -0,0 +1,39 @@
+/**
+ * WORD FEEDBACK
+ *
+ * Wordle-style feedback for a guess, shared by live rooms and the daily challenge.
+ * 0 = letter not in word, 1 = wrong position, 2 = correct position.
+ */
+
+/**
+ * Generate Wordle-style feedback for a guess
+ * @param {string} guess - The guessed word (uppercase)
+ * @param {string} target - The target word (uppercase)
+ * @returns {Array<number>} - Feedback value per letter
+ */
+export function generateWordFeedback(guess, target) {
+    const feedback = new Array(guess.length).fill(0);
+    const targetLetters = target.split('');
+    const guessLetters = guess.split('');
+    
+    // First pass: mark correct letters
+    for (let i = 0; i < guess.length; i++) {
+        if (guessLetters[i] === targetLetters[i]) {
+            feedback[i] = 2;
+            targetLetters[i] = null; // Mark as used
+        }
+    }
+    
+    // Second pass: mark wrong position letters
+    for (let i = 0; i < guess.length; i++) {
+        if (feedback[i] === 0) {
+            const letterIndex = targetLetters.indexOf(guessLetters[i]);
+            if (letterIndex !== -1) {
+                feedback[i] = 1;
+                targetLetters[letterIndex] = null; // Mark as used
+            }
+        }
+    }
+    
+    return feedback;
+}
@@ -0,0 +1,64 @@
+/**
+ * Curated answer lists for each word category (4-7 letter words, mixed).
+ *
+ * These are the words a game falls back to when the Datamuse API is
+ * unreachable or returns nothing usable. Every entry is also accepted as a
+ * guess, so keep them to common, unambiguous English words.
+ */
+
+const toWordList = (text) => text.trim().split(/\s+/).map(word => word.toUpperCase());
+
+export const CATEGORY_WORDS = {
+    science: toWordList(`
+        ACIDS ALLOY AMINO ANODE ATOMS BONDS BORON CELLS CLONE CORAL
+        DENSE DIODE FIBER FLASK FLUID FORCE FUNGI GAMMA GENES GLAND
+        HELIX HUMID JOULE LASER LEVER LIGHT LIVER MAGMA METAL MOLAR
+        NERVE NOBLE ORBIT OXIDE OZONE PHASE PRISM PROBE QUARK RADAR
+        RATIO SOLID SPINE STEAM TOXIN TRAIT VAPOR VIRUS WAVES XENON
+        YEAST
+        ATOM CELL GENE ACID IRON LENS MASS HEAT WAVE BOND DATA MOLE ZINC TIDE
+        ENERGY PLASMA PROTON NEURON OXYGEN THEORY TISSUE VECTOR NICKEL COBALT
+        PHYSICS CALCIUM ELEMENT PROTEIN NEUTRON DENSITY VACCINE GRAVITY ECOLOGY GENETIC
+    `),
+    computer: toWordList(`
+        ARRAY ASCII BATCH BLOCK BUILD BYTES CACHE CLASS CLICK CLOCK
+        CLOUD CODEC CRASH DEBUG DRIVE EMAIL ENTER ERROR EVENT FETCH
+        FIELD FILES FLASH FLOAT FRAME INDEX INPUT LAYER LINUX LOGIN
+        LOOPS MACRO MEDIA MERGE MODEM MOUSE NODES PATCH PIXEL PORTS
+        PROXY QUERY QUEUE RESET ROBOT ROUTE SCOPE SHELL SLASH SPAWN
+        STACK TABLE TOKEN TRACE TUPLE VIDEO
+        BYTE CODE DATA DISK FILE LINK LOOP NODE PORT CHIP ICON MENU USER TYPE
+        BINARY CURSOR KERNEL LAPTOP MODULE SCRIPT SERVER SOCKET SYNTAX UPLOAD ROUTER SCHEMA
+        BACKEND COMPILE DESKTOP DIGITAL NETWORK PROGRAM VIRTUAL BROWSER PRINTER MONITOR DEFAULT
+    `),
+    nature: toWordList(`
+        ACORN ALGAE ASPEN BEACH BIRCH BLOOM BRUSH CEDAR CLIFF CREEK
+        DAISY DELTA EAGLE EARTH FAUNA FERNS FIELD FLORA FROST GRASS
+        GROVE HERON LEAFY LEMUR LILAC MAPLE MARSH MOOSE OCEAN OTTER
+        PETAL PLANT POPPY RAVEN RIVER ROBIN SHORE SLOTH SNAKE STONE
+        STORM SWAMP THORN TIGER TREES TULIP VINES WATER WHALE WOODS
+        ZEBRA
+        LEAF TREE MOSS FERN LAKE WIND RAIN SNOW HILL WOLF BEAR DEER PINE SEED
+        FOREST FLOWER MEADOW VALLEY SPRING ISLAND JUNGLE BREEZE CANYON TURTLE RABBIT FALCON
+        BLOSSOM GLACIER HABITAT VOLCANO CYCLONE DOLPHIN PENGUIN GIRAFFE HARVEST RAINBOW TORNADO
+    `),
+    space: toWordList(`
+        ALIEN ARIES ASTRO COMET NOVAS DWARF EARTH FLARE GIANT HALOS
+        LUNAR MOONS NADIR ORBIT PLUTO POLAR PROBE RINGS ROVER SOLAR
+        SPACE STARS TITAN UMBRA VENUS VOIDS
+        MOON STAR MARS NOVA DUST VOID RING ZERO APEX AXIS
+        GALAXY PLANET METEOR SATURN NEBULA QUASAR ROCKET PHOTON CRATER
+        ECLIPSE GRAVITY HORIZON CLUSTER MERCURY NEPTUNE JUPITER SUNRISE
+    `),
+    food: toWordList(`
+        APPLE BACON BAGEL BASIL BERRY BREAD BROTH CANDY CHILI CHIPS
+        CIDER COCOA CREAM CREPE CRUST CURRY DATES DOUGH FEAST FLOUR
+        FUDGE GRAPE GRAVY GUAVA HONEY JELLY KEBAB LEMON MANGO MELON
+        OLIVE ONION PASTA PEACH PECAN PESTO PIZZA PLUMS RAMEN SALAD
+        SALSA SAUCE SCONE SHAKE SPICE STEAK SUGAR SUSHI SYRUP TACOS
+        TOAST WAFER WHEAT YOLKS
+        BEEF CAKE CORN RICE SOUP TACO TOFU KALE LIME MILK MINT PEAR PLUM TUNA
+        BUTTER CHEESE CARROT COOKIE GARLIC MUFFIN PEPPER POTATO TOMATO YOGURT SALMON CELERY
+        AVOCADO BISCUIT BURRITO CABBAGE CHICKEN COCONUT DESSERT LOBSTER NOODLES PANCAKE PUDDING SAUSAGE SPINACH
+    `)
+};
@@ -0,0 +1,387 @@
+/**
+ * Bundled dictionary of accepted guesses, grouped by word length (4-7).
+ *
+ * Guesses are checked against this list (plus the category answer lists)
+ * so that strings like "AAAAA" are rejected without a network round trip.
+ */
+
+const toWordList = (text) => text.trim().split(/\s+/).map(word => word.toUpperCase());
+
+const FOUR_LETTER_WORDS = toWordList(`
+    ABLE ACHE ACID ACRE AGED AIDE AJAR ALOE ALSO ALTO AMID ANEW ANTS APEX
+    ARCH AREA ARMS ARMY ARTS ATOM AUNT AURA AUTO AVID AWAY AWRY AXIS
+    BABY BACK BAIT BAKE BALD BALL BALM BAND BANE BANK BARE BARK BARN BASE
+    BASH BATH BEAD BEAK BEAM BEAN BEAR BEAT BEEF BEEN BEER BEET BELL BELT
+    BEND BENT BEST BIAS BIKE BILL BIND BIRD BITE BLEW BLOT BLOW BLUE BLUR
+    BOAR BOAT BODY BOIL BOLD BOLT BOMB BOND BONE BOOK BOOM BOON BOOT BORE
+    BORN BOSS BOTH BOUT BOWL BRAN BREW BROW BULB BULK BULL BUMP BUNK BURN
+    BURY BUSH BUSY BUZZ BYTE
+    CAFE CAGE CAKE CALF CALL CALM CAME CAMP CANE CAPE CARD CARE CART CASE
+    CASH CAST CAVE CELL CHAT CHEF CHIN CHIP CHOP CITY CLAD CLAM CLAN CLAP
+    CLAW CLAY CLIP CLUB CLUE COAL COAT CODE COIL COIN COLD COMB COME CONE
+    COOK COOL COPE COPY CORD CORE CORN COST COZY CRAB CREW CROP CROW CUBE
+    CULT CURB CURE CURL CUTE
+    DAMP DARE DARK DART DASH DATA DATE DAWN DEAF DEAL DEAR DEBT DECK DEED
+    DEEP DEER DENT DESK DIAL DICE DIET DIME DINE DIRT DISH DISK DIVE DOCK
+    DOLL DOME DONE DOOM DOOR DOSE DOVE DOWN DOZE DRAG DRAW DREW DRIP DROP
+    DRUM DUAL DUCK DUEL DUET DUKE DULL DUMB DUNE DUSK DUST DUTY
+    EACH EARL EARN EASE EAST EASY ECHO EDGE EDIT ELSE EMIT ENVY EPIC EVEN
+    EVER EVIL EXAM EXIT
+    FACE FACT FADE FAIL FAIR FAKE FALL FAME FARM FAST FATE FAWN FEAR FEAT
+    FEED FEEL FEET FELL FELT FERN FIGS FILE FILL FILM FIND FINE FIRE FIRM
+    FISH FIST FLAG FLAP FLAT FLAW FLEA FLED FLEW FLIP FLOW FOAM FOIL FOLD
+    FOLK FOND FONT FOOD FOOL FOOT FORK FORM FORT FOUL FOUR FOWL FREE FROG
+    FROM FUEL FULL FUME FUND FUSE
+    GAIN GALE GAME GANG GATE GAVE GAZE GEAR GENE GERM GIFT GILL GIRL GIVE
+    GLAD GLOW GLUE GOAL GOAT GOLD GOLF GONE GOOD GOWN GRAB GRAM GRAY GREW
+    GREY GRID GRIM GRIN GRIP GRIT GROW GULF GUST
+    HAIL HAIR HALF HALL HALO HALT HAND HANG HARD HARE HARM HARP HATE HAUL
+    HAVE HAWK HAZE HEAD HEAL HEAP HEAR HEAT HEEL HELD HELM HELP HERB HERD
+    HERE HERO HIDE HIGH HIKE HILL HINT HIRE HOLD HOLE HOME HOOD HOOK HOPE
+    HORN HOSE HOST HOUR HUGE HULL HUNG HUNT HURT HUSH HYMN
+    ICON IDEA IDLE INCH INTO IRIS IRON ISLE ITEM
+    JADE JAIL JARS JAZZ JEEP JEST JOIN JOKE JOLT JUMP JUNE JUNK JURY JUST
+    KALE KEEN KEEP KELP KEPT KICK KIND KING KISS KITE KIWI KNEE KNEW KNIT
+    KNOB KNOT KNOW
+    LACE LACK LADY LAID LAKE LAMB LAMP LAND LANE LAST LATE LAVA LAWN LAZY
+    LEAD LEAF LEAK LEAN LEAP LEFT LEND LENS LESS LIAR LICK LIFE LIFT LIKE
+    LILY LIMB LIME LINE LINK LION LIST LIVE LOAD LOAF LOAN LOCK LOFT LOGO
+    LONE LONG LOOK LOOP LORD LOSE LOSS LOST LOUD LOVE LUCK LUMP LUNG LURE
+    LUSH
+    MADE MAID MAIL MAIN MAKE MALE MALL MALT MANY MAPS MARE MARK MARS MASK
+    MASS MAST MATE MATH MAZE MEAL MEAN MEAT MEET MELT MEMO MENU MESH MESS
+    MICE MILD MILE MILK MILL MIND MINE MINT MISS MIST MOAT MODE MOLD MOLE
+    MOOD MOON MORE MOSS MOST MOTH MOVE MUCH MULE MUSE MUST MYTH
+    NAIL NAME NAVY NEAR NEAT NECK NEED NEST NEWS NEXT NICE NINE NODE NONE
+    NOON NORM NOSE NOTE NOUN
+    OATH OATS OBEY ODOR OKRA OMEN ONCE ONLY ONTO OPEN ORAL ORBS OVAL OVEN
+    OVER OWNS
+    PACE PACK PAGE PAID PAIL PAIN PAIR PALE PALM PANE PARK PART PASS PAST
+    PATH PAVE PEAK PEAR PEAS PEEL PEER PERK PEST PICK PIER PILE PILL PINE
+    PINK PIPE PITY PLAN PLAY PLEA PLOT PLOW PLUG PLUM PLUS POEM POET POLE
+    POLL POND PONY POOL POOR PORK PORT POSE POST POUR PRAY PREY PROP PULL
+    PULP PUMA PUMP PURE PUSH
+    QUAD QUIT QUIZ
+    RACE RACK RAFT RAGE RAID RAIL RAIN RAKE RAMP RANG RANK RARE RASH RATE
+    RAVE READ REAL REAP REAR REED REEF REEL RELY RENT REST RICE RICH RIDE
+    RIFT RING RIOT RIPE RISE RISK ROAD ROAM ROAR ROBE ROCK RODE ROLE ROLL
+    ROOF ROOM ROOT ROPE ROSE RUBY RUDE RUIN RULE RUSH RUST
+    SAFE SAGA SAGE SAID SAIL SAKE SALE SALT SAME SAND SANG SANK SAVE SEAL
+    SEAM SEAT SEED SEEK SEEM SEEN SELF SELL SEND SENT SHED SHIP SHOE SHOP
+    SHOT SHOW SHUT SICK SIDE SIGH SIGN SILK SING SINK SITE SIZE SKIN SKIP
+    SLAB SLAM SLED SLID SLIM SLIP SLOT SLOW SNAP SNOW SOAK SOAP SOAR SOCK
+    SODA SOFA SOFT SOIL SOLD SOLE SOME SONG SOON SORT SOUL SOUP SOUR SPAN
+    SPIN SPOT STAR STAY STEM STEP STEW STIR STOP SUCH SUIT SUNG SUNK SURE
+    SWAN SWAP SWIM
+    TACO TAIL TAKE TALE TALK TALL TAME TANK TAPE TASK TEAM TEAR TELL TEND
+    TENT TERM TEST TEXT THAN THAT THEM THEN THEY THIN THIS TICK TIDE TIDY
+    TIER TILE TILL TIME TINY TIRE TOAD TOFU TOLD TOLL TOMB TONE TOOK TOOL
+    TOUR TOWN TRAP TRAY TREE TREK TRIM TRIO TRIP TRUE TUBA TUBE TUCK TUNA
+    TUNE TURN TUSK TWIN TYPE
+    UGLY UNDO UNIT UNTO UPON URGE USED USER
+    VAIN VALE VASE VAST VEIL VEIN VENT VERB VERY VEST VETO VIEW VINE VISA
+    VOID VOTE
+    WADE WAGE WAIT WAKE WALK WALL WAND WANT WARD WARM WARN WASH WASP WAVE
+    WAXY WEAK WEAR WEED WEEK WELL WENT WERE WEST WHAT WHEN WHIM WHIP WHOM
+    WIDE WIFE WILD WILL WIND WINE WING WINK WIPE WIRE WISE WISH WITH WOLF
+    WOMB WOOD WOOL WORD WORE WORK WORM WORN WRAP WREN
+    YAKS YARD YARN YAWN YEAR YELL YOGA YOLK YOUR
+    ZEAL ZERO ZEST ZINC ZONE ZOOM
+`);
+
+const FIVE_LETTER_WORDS = toWordList(`
+    ABACK ABASE ABATE ABBEY ABBOT ABHOR ABIDE ABLED ABODE ABORT ABOUT ABOVE ABUSE ABYSS
+    ACHED ACHES ACIDS ACORN ACRES ACRID ACTED ACTOR ACUTE ADAGE ADAPT ADDED ADDER ADEPT
+    ADIEU ADMIN ADMIT ADOBE ADOPT ADORE ADORN ADULT AFFIX AFIRE AFOOT AFOUL AFTER AGAIN
+    AGAPE AGATE AGENT AGILE AGING AGLOW AGONY AGREE AHEAD AIDED AIDES AILED AIMED AIRED
+    AISLE ALARM ALBUM ALERT ALGAE ALIAS ALIBI ALIEN ALIGN ALIKE ALIVE ALLAY ALLEY ALLOT
+    ALLOW ALLOY ALOFT ALONE ALONG ALOOF ALOUD ALPHA ALTAR ALTER AMASS AMAZE AMBER AMBLE
+    AMEND AMINO AMISS AMITY AMONG AMPLE AMPLY AMUSE ANGEL ANGER ANGLE ANGRY ANGST ANIME
+    ANKLE ANNEX ANNOY ANNUL ANODE ANTIC ANVIL AORTA APART APHID APING APNEA APPLE APPLY
+    APRON APTLY ARBOR ARDOR ARENA ARGUE ARIES ARISE ARMED ARMOR AROMA AROSE ARRAY ARROW
+    ARSON ARTSY ASCOT ASHEN ASIDE ASKED ASKEW ASPEN ASSAY ASSET ASTER ASTIR ASTRO ATLAS
+    ATOLL ATOMS ATONE ATTIC AUDIO AUDIT AUGUR AUNTS AURAL AVAIL AVERT AVIAN AVOID AWAIT
+    AWAKE AWARD AWARE AWASH AWFUL AWOKE AXIAL AXIOM AXION AZURE
+    BACON BADGE BADLY BAGEL BAGGY BAKED BAKER BALMY BANAL BANJO BARGE BARON BASAL BASIC
+    BASIL BASIN BASIS BASTE BATCH BATHE BATON BATTY BAWDY BAYOU BEACH BEADY BEARD BEAST
+    BEECH BEEFY BEFIT BEGAN BEGAT BEGET BEGIN BEGUN BEING BELCH BELIE BELLE BELLY BELOW
+    BENCH BERET BERRY BERTH BESET BETEL BEVEL BEZEL BIBLE BICEP BIDDY BIGOT BILGE BILLY
+    BINGE BINGO BIOME BIRCH BIRTH BISON BITTY BLACK BLADE BLAME BLAND BLANK BLARE BLAST
+    BLAZE BLEAK BLEAT BLEED BLEEP BLEND BLESS BLIMP BLIND BLINK BLISS BLITZ BLOAT BLOCK
+    BLOKE BLOND BLOOD BLOOM BLOWN BLUER BLUFF BLUNT BLURB BLURT BLUSH BOARD BOAST BOBBY
+    BONDS BONEY BONGO BONUS BOOBY BOOST BOOTH BOOTY BOOZE BOOZY BORAX BORED BORNE BORON
+    BOSOM BOSSY BOTCH BOUGH BOULE BOUND BOWEL BOXER BRACE BRAID BRAIN BRAKE BRAND BRASH
+    BRASS BRAVE BRAVO BRAWL BRAWN BREAD BREAK BREED BRIAR BRIBE BRICK BRIDE BRIEF BRINE
+    BRING BRINK BRINY BRISK BROAD BROIL BROKE BROOD BROOK BROOM BROTH BROWN BRUNT BRUSH
+    BRUTE BUDDY BUDGE BUGGY BUGLE BUILD BUILT BULGE BULKY BULLY BUNCH BUNNY BURLY BURNT
+    BURST BUSED BUSHY BUTCH BUTTE BUXOM BUYER BYLAW BYTES
+    CABAL CABBY CABIN CABLE CACAO CACHE CACTI CADDY CADET CAGEY CAIRN CAMEL CAMEO CANAL
+    CANDY CANNY CANOE CANON CAPER CAPUT CARAT CARGO CAROL CARRY CARVE CASTE CATCH CATER
+    CATTY CAULK CAUSE CAVIL CEASE CEDAR CELLO CELLS CHAFE CHAFF CHAIN CHAIR CHALK CHAMP
+    CHANT CHAOS CHARD CHARM CHART CHASE CHASM CHEAP CHEAT CHECK CHEEK CHEER CHESS CHEST
+    CHICK CHIDE CHIEF CHILD CHILI CHILL CHIME CHINA CHIPS CHIRP CHOCK CHOIR CHOKE CHORD
+    CHORE CHOSE CHUCK CHUMP CHUNK CHURN CHUTE CIDER CIGAR CINCH CIRCA CIVIC CIVIL CLACK
+    CLAIM CLAMP CLANG CLANK CLASH CLASP CLASS CLEAN CLEAR CLEAT CLEFT CLERK CLICK CLIFF
+    CLIMB CLING CLINK CLOAK CLOCK CLONE CLOSE CLOTH CLOUD CLOUT CLOVE CLOWN CLUCK CLUED
+    CLUMP CLUNG COACH COAST COBRA COCOA CODEC COLON COLOR COMET COMFY COMIC COMMA CONCH
+    CONDO CONIC COPSE CORAL CORER CORNY COUCH COUGH COULD COUNT COUPE COURT COVEN COVER
+    COVET COVEY COWER COYLY CRACK CRAFT CRAMP CRANE CRANK CRASH CRASS CRATE CRAVE CRAWL
+    CRAZE CRAZY CREAK CREAM CREDO CREED CREEK CREEP CREME CREPE CREPT CRESS CREST CRICK
+    CRIED CRIER CRIME CRIMP CRISP CROAK CROCK CRONE CRONY CROOK CROSS CROUP CROWD CROWN
+    CRUDE CRUEL CRUMB CRUMP CRUSH CRUST CRYPT CUBIC CUMIN CURIO CURLY CURRY CURSE CURVE
+    CURVY CUTIE CYBER CYCLE CYNIC
+    DADDY DAILY DAIRY DAISY DALLY DANCE DANDY DATES DATUM DAUNT DEALT DEATH DEBAR DEBIT
+    DEBUG DEBUT DECAF DECAL DECAY DECOR DECOY DECRY DEFER DEIGN DEITY DELAY DELTA DELVE
+    DEMON DEMUR DENIM DENSE DEPOT DEPTH DERBY DETER DETOX DEUCE DEVIL DIARY DICEY DIGIT
+    DILLY DIMLY DINER DINGO DINGY DIODE DIRGE DIRTY DISCO DITCH DITTO DITTY DIVER DIZZY
+    DODGE DODGY DOGMA DOING DOLLY DONOR DONUT DOPEY DOUBT DOUGH DOWDY DOWEL DOWNY DOWRY
+    DOZEN DRAFT DRAIN DRAKE DRAMA DRANK DRAPE DRAWL DRAWN DREAD DREAM DRESS DRIED DRIER
+    DRIFT DRILL DRINK DRIVE DROIT DROLL DRONE DROOL DROOP DROSS DROVE DROWN DRUID DRUNK
+    DRYER DRYLY DUCHY DULLY DUMMY DUMPY DUNCE DUSKY DUSTY DUTCH DUVET DWARF DWELL DWELT
+    DYING
+    EAGER EAGLE EARLY EARTH EASEL EATEN EATER EBONY ECLAT EDICT EDIFY EERIE EGRET EIGHT
+    EJECT EKING ELATE ELBOW ELDER ELECT ELEGY ELFIN ELIDE ELITE ELOPE ELUDE ELVES EMAIL
+    EMBED EMBER EMCEE EMPTY ENACT ENDOW ENEMA ENEMY ENJOY ENNUI ENSUE ENTER ENTRY ENVOY
+    EPOCH EPOXY EQUAL EQUIP ERASE ERECT ERODE ERROR ERUPT ESSAY ESTER ETHER ETHIC ETHOS
+    ETUDE EVADE EVENT EVERY EVICT EVOKE EXACT EXALT EXCEL EXERT EXILE EXIST EXPEL EXTOL
+    EXTRA EXULT EYING
+    FABLE FACET FAINT FAIRY FAITH FALSE FANCY FANNY FARCE FATAL FATTY FAULT FAUNA FAVOR
+    FEAST FECAL FEIGN FELLA FELON FEMME FEMUR FENCE FERAL FERNS FERRY FETAL FETCH FETID
+    FETUS FEVER FEWER FIBER FICUS FIELD FIEND FIERY FIFTH FIFTY FIGHT FILER FILES FILET
+    FILLY FILMY FILTH FINAL FINCH FINER FIRST FISHY FIXER FIZZY FJORD FLACK FLAIL FLAIR
+    FLAKE FLAKY FLAME FLANK FLARE FLASH FLASK FLECK FLEET FLESH FLICK FLIER FLING FLINT
+    FLIRT FLOAT FLOCK FLOOD FLOOR FLORA FLOSS FLOUR FLOUT FLOWN FLUFF FLUID FLUKE FLUME
+    FLUNG FLUNK FLUSH FLUTE FLYER FOAMY FOCAL FOCUS FOGGY FOIST FOLIO FOLLY FORAY FORCE
+    FORGE FORGO FORTE FORTH FORTY FORUM FOUND FOYER FRAIL FRAME FRANK FRAUD FREAK FREED
+    FREER FRESH FRIAR FRIED FRILL FRISK FRITZ FROCK FROND FRONT FROST FROTH FROWN FROZE
+    FRUIT FUDGE FUGUE FULLY FUNGI FUNKY FUNNY FUROR FURRY FUSSY FUZZY
+    GAFFE GAILY GAMER GAMMA GAMUT GASSY GAUDY GAUGE GAUNT GAUZE GAVEL GAWKY GAYER GAYLY
+    GAZER GECKO GEEKY GEESE GENES GENIE GENRE GHOST GHOUL GIANT GIDDY GIRLY GIRTH
+    GIVEN GIVER GLADE GLAND GLARE GLASS GLAZE GLEAM GLEAN GLIDE GLINT GLOAT GLOBE GLOOM
+    GLORY GLOSS GLOVE GLYPH GNASH GNOME GODLY GOING GOLEM GOLLY GONER GOODY GOOEY GOOFY
+    GOOSE GORGE GOUGE GOURD GRACE GRADE GRAFT GRAIL GRAIN GRAND GRANT GRAPE GRAPH GRASP
+    GRASS GRATE GRAVE GRAVY GRAZE GREAT GREED GREEN GREET GRIEF GRILL GRIME GRIMY GRIND
+    GRIPE GROAN GROIN GROOM GROPE GROSS GROUP GROUT GROVE GROWL GROWN GRUEL GRUFF GRUNT
+    GUARD GUAVA GUESS GUEST GUIDE GUILD GUILE GUILT GUISE GULCH GULLY GUMBO GUMMY GUPPY
+    GUSTO GUSTY
+    HABIT HAIRY HALLS HALOS HALVE HANDY HAPPY HARDY HAREM HARPY HARRY HARSH HASTE HASTY
+    HATCH HATER HAUNT HAUTE HAVEN HAVOC HAZEL HEADY HEARD HEART HEATH HEAVE HEAVY HEDGE
+    HEFTY HEIST HELIX HELLO HENCE HERON HILLY HINGE HIPPO HIPPY HITCH HOARD HOBBY HOIST
+    HOLLY HOMER HONEY HONOR HORDE HORSE HOSTS HOTEL HOTLY HOUND HOUSE HOVEL HOVER
+    HOWDY HUMAN HUMID HUMOR HUMPH HUMUS HUNCH HUNKY HURRY HUSKY HUSSY HUTCH HYDRO HYENA
+    HYPER
+    ICILY ICING IDEAL IDIOM IDIOT IDLER IDYLL IGLOO ILIAC IMAGE IMBUE IMPEL IMPLY INANE
+    INBOX INCUR INDEX INEPT INERT INFER INGOT INLAY INLET INNER INPUT INTER INTRO IONIC
+    IRATE IRONY ISLET ISSUE ITCHY IVORY
+    JAUNT JAZZY JELLY JERKY JETTY JEWEL JIFFY JOINT JOIST JOKER JOLLY JOULE JOUST JUDGE
+    JUICE JUICY JUMBO JUMPY JUNTA JUNTO JUROR
+    KAPPA KARMA KAYAK KEBAB KHAKI KINKY KIOSK KITTY KNACK KNAVE KNEAD KNEED KNEEL KNELT
+    KNIFE KNOCK KNOLL KNOWN KOALA KRILL
+    LABEL LABOR LADEN LADLE LAGER LANCE LANKY LAPEL LAPSE LARGE LARVA LASER LASSO LATCH
+    LATER LATHE LATTE LAUGH LAYER LEACH LEAFY LEAKY LEANT LEAPT LEARN LEASE LEASH LEAST
+    LEAVE LEDGE LEECH LEERY LEFTY LEGAL LEGGY LEMON LEMUR LEPER LEVEL LEVER LIBEL LIEGE
+    LIGHT LIKEN LILAC LIMBO LIMIT LINEN LINER LINGO LINUX LIPID LITHE LIVER LIVID LLAMA
+    LOAMY LOATH LOBBY LOCAL LOCUS LODGE LOFTY LOGIC LOGIN LOOPS LOOPY LOOSE LORRY LOSER
+    LOUSE LOUSY LOVER LOWER LOWLY LOYAL LUCID LUCKY LUMEN LUMPY LUNAR LUNCH LUNGE LUPUS
+    LURCH LURID LUSTY LYING LYMPH LYRIC
+    MACAW MACHO MACRO MADAM MADLY MAFIA MAGIC MAGMA MAIZE MAJOR MAKER MAMBO MAMMA MAMMY
+    MANGA MANGE MANGO MANGY MANIA MANIC MANLY MANOR MAPLE MARCH MARRY MARSH MASON MASSE
+    MATCH MATEY MAUVE MAXIM MAYBE MAYOR MEALY MEANT MEATY MECCA MEDAL MEDIA MEDIC MELEE
+    MELON MERCY MERGE MERIT MERRY METAL METER METRO MICRO MIDGE MIDST MIGHT MILKY MIMIC
+    MINCE MINER MINIM MINOR MINTY MINUS MIRTH MISER MISSY MOCHA MODAL MODEL MODEM MOGUL
+    MOIST MOLAR MOLDY MONEY MONTH MOODY MOONS MOOSE MORAL MORON MORPH MOSSY MOTEL MOTIF
+    MOTOR MOTTO MOULT MOUND MOUNT MOURN MOUSE MOUTH MOVER MOVIE MOWER MUCKY MUCUS MUDDY
+    MULCH MUMMY MUNCH MURAL MURKY MUSHY MUSIC MUSKY MUSTY MYRRH
+    NADIR NAIVE NANNY NASAL NASTY NATAL NAVAL NAVEL NEEDY NEIGH NERDY NERVE NEVER NEWER
+    NEWLY NICER NICHE NIECE NIGHT NINJA NINNY NINTH NOBLE NOBLY NODES NOISE NOISY NOMAD
+    NOOSE NORTH NOSEY NOTCH NOVAS NOVEL NUDGE NURSE NUTTY NYLON NYMPH
+    OAKEN OBESE OCCUR OCEAN OCTAL OCTET ODDER ODDLY OFFAL OFFER OFTEN OLDEN OLDER OLIVE
+    OMBRE OMEGA ONION ONSET OPERA OPINE OPIUM OPTIC ORBIT ORDER ORGAN OTHER OTTER OUGHT
+    OUNCE OUTDO OUTER OUTGO OVARY OVATE OVERT OVINE OVOID OWING OWNER OXIDE OZONE
+    PADDY PAGAN PAINT PALER PALSY PANEL PANIC PANSY PAPAL PAPER PARER PARKA PARRY PARSE
+    PARTY PASTA PASTE PASTY PATCH PATIO PATSY PATTY PAUSE PAYEE PAYER PEACE PEACH PEARL
+    PECAN PEDAL PENAL PENCE PENNE PENNY PERCH PERIL PERKY PESKY PESTO PETAL PETTY PHASE
+    PHONE PHONY PHOTO PIANO PICKY PIECE PIETY PIGGY PILOT PINCH PINEY PINKY PINTO PIPER
+    PIQUE PITCH PITHY PIVOT PIXEL PIXIE PIZZA PLACE PLAID PLAIN PLAIT PLANE PLANK PLANT
+    PLATE PLAZA PLEAD PLEAT PLIED PLIER PLUCK PLUMB PLUME PLUMP PLUMS PLUNK PLUSH PLUTO
+    POESY POINT POISE POKER POLAR POLKA POLYP POOCH POPPY PORCH PORTS POSER POSIT POSSE
+    POUCH POUND POUTY POWER PRANK PRAWN PREEN PRESS PRICE PRICK PRIDE PRIED PRIME PRIMO
+    PRINT PRIOR PRISM PRIVY PRIZE PROBE PRONE PRONG PROOF PROSE PROUD PROVE PROWL PROXY
+    PRUDE PRUNE PSALM PUDGY PUFFY PULPY PULSE PUNCH PUPIL PUPPY PUREE PURER PURGE
+    PURSE PUSHY PUTTY PYGMY
+    QUACK QUAIL QUAKE QUALM QUARK QUART QUASH QUASI QUEEN QUEER QUELL QUERY QUEST QUEUE
+    QUICK QUIET QUILL QUILT QUIRK QUITE QUOTA QUOTE QUOTH
+    RABBI RABID RACER RADAR RADII RADIO RAINY RAISE RAJAH RALLY RALPH RAMEN RANCH RANDY
+    RANGE RAPID RARER RASPY RATIO RATTY RAVEN RAYON RAZOR REACH REACT READY REALM REARM
+    REBAR REBEL REBUS REBUT RECAP RECUR RECUT REEDY REFER REFIT REGAL REHAB REIGN RELAX
+    RELAY RELIC REMIT RENAL RENEW REPAY REPEL REPLY RERUN RESET RESIN RETCH RETRO RETRY
+    REUSE REVEL REVUE RHINO RHYME RIDER RIDGE RIFLE RIGHT RIGID RIGOR RINGS RINSE RIPEN
+    RIPER RISEN RISER RISKY RIVAL RIVER RIVET ROACH ROAST ROBIN ROBOT ROCKY RODEO ROGER
+    ROGUE ROOMY ROOST ROTOR ROUGE ROUGH ROUND ROUSE ROUTE ROVER ROWDY ROWER ROYAL RUDDY
+    RUDER RUGBY RULER RUMBA RUMOR RUPEE RURAL RUSTY
+    SADLY SAFER SAINT SALAD SALLY SALON SALSA SALTY SALVE SALVO SANDY SANER SAPPY SASSY
+    SATIN SATYR SAUCE SAUCY SAUNA SAUTE SAVOR SAVOY SAVVY SCALD SCALE SCALP SCALY SCAMP
+    SCANT SCARE SCARF SCARY SCENE SCENT SCION SCOFF SCOLD SCONE SCOOP SCOPE SCORE SCORN
+    SCOUR SCOUT SCOWL SCRAM SCRAP SCREE SCREW SCRUB SCRUM SCUBA SEDAN SEEDY SEGUE SEIZE
+    SENSE SEPIA SERIF SERUM SERVE SETUP SEVEN SEVER SEWER SHACK SHADE SHADY SHAFT
+    SHAKE SHAKY SHALE SHALL SHALT SHAME SHANK SHAPE SHARD SHARE SHARK SHARP SHAVE SHAWL
+    SHEAR SHEEN SHEEP SHEER SHEET SHEIK SHELF SHELL SHIED SHIFT SHINE SHINY SHIRE SHIRK
+    SHIRT SHOAL SHOCK SHONE SHOOK SHOOT SHORE SHORN SHORT SHOUT SHOVE SHOWN SHOWY SHREW
+    SHRUB SHRUG SHUCK SHUNT SHUSH SHYLY SIEGE SIEVE SIGHT SIGMA SILKY SILLY SINCE SINEW
+    SINGE SIREN SISSY SIXTH SIXTY SKATE SKIER SKIFF SKILL SKIMP SKIRT SKULK SKULL SKUNK
+    SLACK SLAIN SLANG SLANT SLASH SLATE SLAVE SLEEK SLEEP SLEET SLEPT SLICE SLICK SLIDE
+    SLIME SLIMY SLING SLINK SLOOP SLOPE SLOSH SLOTH SLUMP SLUNG SLUNK SLURP SLUSH SLYLY
+    SMACK SMALL SMART SMASH SMEAR SMELL SMELT SMILE SMIRK SMITE SMITH SMOCK SMOKE SMOKY
+    SMOTE SNACK SNAIL SNAKE SNAKY SNARE SNARL SNEAK SNEER SNIDE SNIFF SNIPE SNOOP SNORE
+    SNORT SNOUT SNOWY SNUCK SNUFF SOAPY SOBER SOGGY SOLAR SOLID SOLVE SONAR SONIC SOOTH
+    SOOTY SORRY SOUND SOUTH SOWER SPACE SPADE SPANK SPARE SPARK SPASM SPAWN SPEAK SPEAR
+    SPECK SPEED SPELL SPELT SPEND SPENT SPICE SPICY SPIED SPIEL SPIKE SPIKY SPILL
+    SPILT SPINE SPINY SPIRE SPITE SPLAT SPLIT SPOIL SPOKE SPOOF SPOOK SPOOL SPOON SPORE
+    SPORT SPOUT SPRAY SPREE SPRIG SPUNK SPURN SPURT SQUAD SQUAT SQUIB STACK STAFF STAGE
+    STAID STAIN STAIR STAKE STALE STALK STALL STAMP STAND STANK STARE STARK STARS START
+    STASH STATE STAVE STEAD STEAK STEAL STEAM STEED STEEL STEEP STEER STEIN STERN STICK
+    STIFF STILL STILT STING STINK STINT STOCK STOIC STOKE STOLE STOMP STONE STONY STOOD
+    STOOL STOOP STORE STORK STORM STORY STOUT STOVE STRAP STRAW STRAY STRIP STRUT STUCK
+    STUDY STUFF STUMP STUNG STUNK STUNT STYLE SUAVE SUGAR SUING SUITE SULKY SULLY SUMAC
+    SUNNY SUPER SURER SURGE SURLY SUSHI SWAMI SWAMP SWARM SWASH SWATH SWEAR SWEAT SWEEP
+    SWEET SWELL SWEPT SWIFT SWILL SWINE SWING SWIRL SWISH SWOON SWOOP SWORD SWORE SWORN
+    SWUNG SYNOD SYRUP
+    TABBY TABLE TABOO TACIT TACKY TACOS TAFFY TAINT TAKEN TAKER TALLY TALON TAMER TANGO
+    TANGY TAPER TAPIR TARDY TAROT TASTE TASTY TATTY TAUNT TAWNY TEACH TEARY TEASE TEDDY
+    TEETH TEMPO TENET TENOR TENSE TENTH TEPEE TEPID TERRA TERSE TESTY THANK THEFT THEIR
+    THEME THERE THESE THETA THICK THIEF THIGH THING THINK THIRD THONG THORN THOSE THREE
+    THREW THROB THROW THRUM THUMB THUMP THYME TIARA TIBIA TIDAL TIGER TIGHT TILDE TIMER
+    TIMID TIPSY TITAN TITHE TITLE TOAST TODAY TODDY TOKEN TONAL TONGA TONIC TOOTH TOPAZ
+    TOPIC TORCH TORSO TORUS TOTAL TOTEM TOUCH TOUGH TOWEL TOWER TOXIC TOXIN TRACE TRACK
+    TRACT TRADE TRAIL TRAIN TRAIT TRAMP TRASH TRAWL TREAD TREAT TREES TREND TRIAD TRIAL
+    TRIBE TRICE TRICK TRIED TRIPE TRITE TROLL TROOP TROPE TROUT TROVE TRUCE TRUCK TRUER
+    TRULY TRUMP TRUNK TRUSS TRUST TRUTH TRYST TUBAL TUBER TULIP TULLE TUMOR TUNIC TUPLE
+    TURBO TUTOR TWANG TWEAK TWEED TWEET TWICE TWINE TWIRL TWIST TWIXT TYING
+    UDDER ULCER ULTRA UMBRA UNCLE UNCUT UNDER UNDID UNDUE UNFED UNFIT UNIFY UNION UNITE
+    UNITY UNLIT UNMET UNSET UNTIE UNTIL UNWED UNZIP UPPER UPSET URBAN URINE USAGE USHER
+    USING USUAL USURP UTILE UTTER
+    VAGUE VALET VALID VALOR VALUE VALVE VAPID VAPOR VAULT VAUNT VEGAN VENOM VENUE VENUS
+    VERGE VERSE VERSO VERVE VICAR VIDEO VIGIL VIGOR VILLA VINES VINYL VIOLA VIPER VIRAL
+    VIRUS VISIT VISOR VISTA VITAL VIVID VIXEN VOCAL VODKA VOGUE VOICE VOIDS VOILA VOMIT
+    VOTER VOUCH VOWEL VYING
+    WACKY WAFER WAGER WAGON WAIST WAIVE WALTZ WARTY WASTE WATCH WATER WAVER WAVES WAXEN
+    WEARY WEAVE WEDGE WEEDY WEIGH WEIRD WELSH WENCH WHACK WHALE WHARF WHEAT WHEEL
+    WHELP WHERE WHICH WHIFF WHILE WHINE WHINY WHIRL WHISK WHITE WHOLE WHOOP WHOSE WIDEN
+    WIDER WIDOW WIDTH WIELD WIGHT WILLY WIMPY WINCE WINCH WINDY WISER WISPY WITCH WITTY
+    WOKEN WOMAN WOMEN WOODS WOODY WOOER WOOLY WOOZY WORDY WORLD WORRY WORSE WORST WORTH
+    WOULD WOUND WOVEN WRACK WRATH WREAK WRECK WREST WRING WRIST WRITE WRONG WROTE WRUNG
+    WRYLY
+    XENON
+    YACHT YEARN YEAST YIELD YOUNG YOUTH YOLKS YUMMY
+    ZEBRA ZESTY ZONAL
+`);
+
+const SIX_LETTER_WORDS = toWordList(`
+    ABSENT ABSORB ACCENT ACCEPT ACCESS ACROSS ACTION ACTIVE ACTUAL ADVICE AFFAIR AFFORD AFRAID AGENCY
+    AGENDA ALMOST AMOUNT ANCHOR ANIMAL ANSWER ANYONE ANYWAY APPEAL APPEAR ARCADE ARCTIC ARRIVE ARTIST
+    ASLEEP ASPECT ASSIGN ASSIST ASSUME ATTACH ATTACK ATTEND AUTUMN AVENUE
+    BANANA BARREL BASKET BATTLE BEAUTY BECOME BEFORE BEHALF BEHAVE BEHIND BELONG BESIDE BETTER BEYOND
+    BINARY BISHOP BORDER BORROW BOTTLE BOTTOM BOUNCE BRANCH BREATH BREEZE BRIDGE BRIGHT BROKEN BRONZE
+    BUBBLE BUCKET BUDGET BUNDLE BURDEN BUTTER BUTTON
+    CACTUS CAMERA CAMPUS CANCEL CANDLE CANNON CANVAS CARBON CAREER CARPET CARROT CASTLE CASUAL CATTLE
+    CAUGHT CELERY CEMENT CENTER CEREAL CHANCE CHANGE CHAPEL CHARGE CHEESE CHERRY CHOICE CHOOSE CHOSEN
+    CHURCH CIRCLE CLIENT CLIMAX CLOSED CLOSET COBALT COFFEE COLUMN COMEDY COMMON CONVEX COOKIE COPPER
+    CORNER COTTON COUSIN CRATER CREDIT CRISIS CRUISE CUSTOM
+    DAMAGE DANCER DANGER DEBATE DECADE DECIDE DEFEAT DEFEND DEFINE DEGREE DEMAND DEPEND DESERT DESIGN
+    DESIRE DETAIL DETECT DEVICE DIVIDE DOCTOR DOMAIN DOUBLE DRAGON DRAWER DRIVER DURING
+    EASILY EATING EFFECT EFFORT EIGHTY ELEVEN EMPIRE EMPLOY ENABLE ENERGY ENGINE ENOUGH ENSURE ENTIRE
+    ESCAPE ESTATE EVOLVE EXCUSE EXPAND EXPECT EXPERT EXPORT EXPOSE EXTEND EXTENT
+    FABRIC FACTOR FAIRLY FALCON FAMILY FAMOUS FARMER FATHER FELLOW FEMALE FIBULA FIGURE FILTER FINGER
+    FINISH FLIGHT FLOWER FOLLOW FOREST FORGET FORMAL FORMAT FOSSIL FOURTH FREEZE FRIDGE FRIEND FROZEN
+    FUTURE
+    GALAXY GARDEN GARLIC GATHER GENDER GENIUS GENTLE GINGER GLOBAL GOLDEN GROUND GROWTH GUITAR
+    HAMMER HANDLE HAPPEN HARBOR HARDLY HEALTH HEAVEN HEIGHT HELMET HIDDEN HOLDER HONEST HORROR HUNGER
+    HUNTER
+    INCOME ISLAND ITSELF
+    JACKET JERSEY JIGSAW JUNGLE JUNIOR
+    KERNEL KETTLE KIDNEY KITTEN KNIGHT
+    LADDER LAPTOP LATELY LATTER LAUNCH LAWYER LEADER LEAGUE LEGACY LEGEND LENGTH LESSON LETTER LIKELY
+    LIQUID LISTEN LITTLE LIVING LIZARD LOCATE LOVELY
+    MAGNET MAKING MANAGE MANNER MARBLE MARGIN MARKET MASTER MATTER MEADOW MEDIUM MEMBER MEMORY MENTAL
+    MERELY METEOR METHOD MIDDLE MINUTE MIRROR MOBILE MODERN MODEST MOMENT MONKEY MOSTLY MOTHER MOTION
+    MUFFIN MUSCLE MUSEUM MUTUAL MYSELF
+    NARROW NATION NATIVE NATURE NEARBY NEARLY NEBULA NEEDLE NEPHEW NEURON NICKEL NOBODY NORMAL NOTICE
+    NUMBER
+    OBJECT OBTAIN OCCUPY OFFICE ONLINE OPTION ORANGE ORIGIN OUTPUT OXYGEN OYSTER
+    PACKET PALACE PARADE PARENT PARROT PEANUT PEPPER PERIOD PERSON PHOTON PICKLE PIGEON PLANET PLASMA
+    PLAYER PLEASE PLENTY POCKET POETRY POLICE POLICY POLISH POTATO POWDER PRETTY PRINCE PRISON PROFIT
+    PROPER PROTON PUBLIC PUPPET PURPLE PUZZLE
+    QUARTZ QUASAR QUIVER
+    RABBIT RACING RADIUS RANDOM RARELY RATHER RATING READER REALLY REASON RECENT RECIPE RECORD REDUCE
+    REFORM REGARD REGION RELATE RELIEF REMAIN REMOTE REMOVE REPAIR REPEAT REPORT RESCUE RESORT RESULT
+    RETAIL RETURN REVEAL REVIEW REWARD RIBBON RIDDLE RITUAL ROCKET ROTATE ROUTER RUBBER
+    SADDLE SAFELY SAFETY SALMON SAMPLE SATURN SCHEMA SCHEME SCHOOL SCREEN SCRIPT SEARCH SEASON SECOND
+    SECRET SECTOR SECURE SELDOM SELECT SERIES SERVER SETTLE SHADOW SHOULD SHOWER SHRIMP SIGNAL SILENT
+    SILVER SIMPLE SIMPLY SINGER SINGLE SISTER SKETCH SLEEVE SLIGHT SMOOTH SOCCER SOCIAL SOCKET SOURCE
+    SPEECH SPIDER SPIRIT SPLASH SPONGE SPRING SQUARE STABLE STATUS STEADY STRAND STREAM STREET STRESS
+    STRICT STRIKE STRING STRONG STUDIO SUBMIT SUDDEN SUMMER SUMMIT SUNSET SUPPLY SURELY SURVEY SWITCH
+    SYMBOL SYNTAX SYSTEM
+    TABLET TACKLE TALENT TARGET TEACUP TEMPLE TENANT TENDER TENNIS THEORY THIRTY THREAD THROAT TICKET
+    TIMBER TISSUE TOMATO TONGUE TOWARD TRAVEL TREATY TRIBAL TROPHY TUNNEL TURKEY TURTLE TWELVE TWENTY
+    UNIQUE UNLESS UNLIKE UPDATE UPLOAD USEFUL
+    VALLEY VECTOR VELVET VENDOR VERIFY VIRTUE VISION VOLUME VOYAGE
+    WAITER WALNUT WANDER WARMTH WEALTH WEAPON WEEKLY WEIGHT WINDOW WINNER WINTER WISDOM WITHIN WIZARD
+    WONDER WOODEN WORKER WRITER
+    YELLOW YOGURT
+    ZIPPER ZOMBIE
+`);
+
+const SEVEN_LETTER_WORDS = toWordList(`
+    ABILITY ABSENCE ACADEMY ACCOUNT ACHIEVE ACQUIRE ADDRESS ADVANCE ADVERSE AGAINST AIRPORT ALCOHOL ALGEBRA ALLERGY
+    AMAZING AMBIENT ANALYST ANCIENT ANOTHER ANXIETY ANXIOUS ANYBODY APPLIED ARRANGE ARRIVAL ARTICLE ATHLETE ATTEMPT
+    ATTRACT AUCTION AVERAGE AVOCADO AWESOME
+    BACKEND BALANCE BALLOON BANDAGE BANKING BARGAIN BATTERY BEARING BEDROOM BENEFIT BETWEEN BICYCLE BILLION BISCUIT
+    BLANKET BLOSSOM BOREDOM BROTHER BROUGHT BUFFALO BURRITO BUTTONS
+    CABBAGE CABINET CALCIUM CALIBER CAPABLE CAPITAL CAPTAIN CAPTURE CAREFUL CARRIER CARTOON CASHIER CATALOG CEILING
+    CENTRAL CENTURY CERTAIN CHAPTER CHARITY CHEETAH CHEMIST CHICKEN CHIMNEY CIRCUIT CITIZEN CLASSIC CLIMATE CLUSTER
+    COCONUT COLLECT COLLEGE COMBINE COMFORT COMMAND COMMENT COMPACT COMPANY COMPARE COMPASS COMPETE COMPILE COMPLEX
+    CONCEPT CONCERN CONCERT CONDUCT CONFIRM CONNECT CONSENT CONSIST CONTACT CONTAIN CONTENT CONTEST CONTEXT CONTROL
+    CONVERT COOKING COUNCIL COUNTER COUNTRY COURAGE COWBOYS CRYSTAL CULTURE CURRENT CUSTARD CYCLONE
+    DEFAULT DEFENSE DEFICIT DEFINED DELIVER DENSITY DEPOSIT DESKTOP DESPITE DESSERT DESTROY DEVELOP DIAMOND DIGITAL
+    DISCUSS DISEASE DISPLAY DISPUTE DISTANT DOLPHIN DRAWING DYNAMIC
+    EARNING ECLIPSE ECOLOGY ECONOMY EDITION ELEMENT EMERALD EMOTION EMPEROR ENDLESS ENGLISH ENHANCE ENQUIRY EPISODE
+    EQUATOR ESSENCE EVENING EVIDENT EXACTLY EXAMPLE EXCITED EXECUTE EXHIBIT EXPENSE EXPLAIN EXPLORE EXPRESS EXTREME
+    FACTORY FAILURE FASHION FEATURE FEDERAL FEELING FICTION FIFTEEN FIGHTER FINALLY FINANCE FISHING FITNESS FLAVOUR
+    FOREIGN FOREVER FORMULA FORTUNE FORWARD FREEDOM FREIGHT FRIENDS FURTHER
+    GALLERY GATEWAY GENERAL GENETIC GENUINE GESTURE GIRAFFE GLACIER GLIMPSE GLUCOSE GRAMMAR GRAPHIC GRAVITY GREATER
+    GROCERY GROWING
+    HABITAT HALFWAY HARVEST HEADING HEALTHY HEARING HEATING HELPFUL HIGHWAY HIMSELF HISTORY HOLIDAY HORIZON HOUSING
+    HOWEVER HUNDRED HUNTING HURTFUL
+    ICEBERG IMAGINE IMPLIED IMPROVE INCLUDE INITIAL INQUIRY INSIGHT INSTALL INSTANT INSTEAD INTENSE INTERIM INVOLVE
+    ISLANDS
+    JASMINE JOURNAL JOURNEY JUSTICE JUSTIFY
+    KEYNOTE KINGDOM KITCHEN KNOWING
+    LANTERN LAUNDRY LEADING LEARNED LEATHER LECTURE LEGENDS LIBERAL LIBERTY LIBRARY LICENSE LIMITED LOBSTER LOGICAL
+    MACHINE MAGNETS MAMMOTH MANAGER MANSION MAXIMUM MEANING MEASURE MEDICAL MEETING MENTION MESSAGE MIGRATE MILLION
+    MINERAL MINIMUM MISSING MISSION MIXTURE MONITOR MONSTER MONTHLY MORNING MUSICAL MYSTERY
+    NARRATE NATURAL NEITHER NETWORK NEUTRAL NEUTRON NOODLES NOTHING NUCLEAR NURSERY
+    OBVIOUS OCTOPUS OFFENSE OFFICER OPINION ORGANIC OUTCOME OUTDOOR OUTLOOK OVERALL
+    PACKAGE PAINTER PANCAKE PANTHER PARKING PARTNER PASSAGE PASSION PATIENT PATTERN PAYMENT PELICAN PENGUIN PERFECT
+    PERHAPS PHYSICS PICTURE PILGRIM PIONEER PLANNER PLASTIC PLAYING POLLUTE POPULAR PORTION POTTERY POVERTY PREDICT
+    PREMIUM PREPARE PRESENT PREVENT PRIMARY PRINTER PRIVACY PRIVATE PROBLEM PROCESS PRODUCE PRODUCT PROGRAM PROJECT
+    PROMISE PROTEIN PROTEST PROVIDE PUDDING PURPOSE PYRAMID
+    QUALIFY QUALITY QUANTUM QUARTER QUICKLY
+    RADICAL RAINBOW READING REALITY RECEIPT RECEIVE RECOVER REFLECT REGULAR RELATED RELEASE REPLACE REQUEST REQUIRE
+    RESERVE RESOLVE RESPECT RESPOND RESTORE REVENUE REVERSE ROUTINE
+    SALMONS SANDALS SATISFY SAUSAGE SCIENCE SCRATCH SECTION SEGMENT SERIOUS SERVICE SESSION SETTING SEVERAL SHELTER
+    SILENCE SIMILAR SOCIETY SOLDIER SOMEONE SPEAKER SPECIAL SPINACH STATION STORAGE STRANGE STRETCH STUDENT SUBJECT
+    SUCCESS SUGGEST SUNRISE SUPPORT SUPREME SURFACE SURGEON SURPLUS SURVIVE SUSPECT SWALLOW SYMPTOM
+    TEACHER TEXTURE THEATER THERAPY THOUGHT THUNDER TONIGHT TOPPING TORNADO TOURISM TRACTOR TRAFFIC TRAGEDY TRAINER
+    TRIBUTE TROUBLE TRUMPET TUITION TYPICAL
+    UNIFORM UNKNOWN UNUSUAL UPGRADE UTILITY
+    VACCINE VARIETY VARIOUS VEHICLE VENTURE VERSION VETERAN VICTORY VILLAGE VINTAGE VIOLENT VIRTUAL VISIBLE VOLCANO
+    WALKING WARNING WEATHER WEBSITE WEDDING WEEKEND WELCOME WELFARE WESTERN WHISPER WILLING WINDOWS WITHOUT WITNESS
+    WORKING WORRIED WRITING
+`);
+
+export const DICTIONARY_WORDS = [
+    ...FOUR_LETTER_WORDS,
+    ...FIVE_LETTER_WORDS,
+    ...SIX_LETTER_WORDS,
+    ...SEVEN_LETTER_WORDS
+];